@@ -1,6 +1,8 @@
 const app = require('./src/app');
 const config = require('./src/config/config');
 const logger = require('./src/utils/logger');
+const ocrWorkerPool = require('./src/services/ocrWorkerPool.service');
+const rulePackService = require('./src/services/rulePack.service');
 
 const PORT = config.port;
 
@@ -11,23 +13,43 @@ const server = app.listen(PORT, () => {
   logger.info(`📝 Health Check: http://localhost:${PORT}/health`);
   console.log('\n✅ Server ready! Test with:');
   console.log(`   curl http://localhost:${PORT}/health\n`);
+
+  // Warm OCR workers so the first image request doesn't pay the startup cost
+  if (config.ocrPoolWarmOnStart) {
+    const languages = config.orientationDetection
+      ? [...config.ocrPoolLanguages, 'osd']
+      : config.ocrPoolLanguages;
+
+    ocrWorkerPool.warm(languages).catch(error => {
+      logger.error('Failed to warm OCR worker pool:', error.message);
+    });
+  }
+
+  // Pick up rule pack edits without a restart
+  if (config.rulePacksWatch) {
+    rulePackService.watch();
+  }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+// Stop accepting connections, then drain OCR workers before exiting
+function shutdown() {
+  rulePackService.unwatch();
+  server.close(async () => {
     logger.info('HTTP server closed');
+    await ocrWorkerPool.drain();
     process.exit(0);
   });
+}
+
+// Graceful shutdown
+process.on('SIGTERM', () => {
+  logger.info('SIGTERM signal received: closing HTTP server');
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   logger.info('\nSIGINT signal received: closing HTTP server');
-  server.close(() => {
-    logger.info('HTTP server closed');
-    process.exit(0);
-  });
+  shutdown();
 });
 
 // Handle uncaught errors
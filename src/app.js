@@ -8,6 +8,7 @@ const config = require('./config/config');
 const detectionRoutes = require('./routes/detection.routes');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const ocrWorkerPool = require('./services/ocrWorkerPool.service');
 
 const app = express();
 
@@ -39,7 +40,8 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: config.nodeEnv,
-    version: '1.0.0'
+    version: '1.0.0',
+    ocr_workers: ocrWorkerPool.getStats()
   });
 });
 
@@ -56,7 +58,10 @@ app.use((req, res) => {
       extract: 'POST /api/extract',
       normalize: 'POST /api/normalize',
       classify: 'POST /api/classify',
-      final: 'POST /api/final'
+      final: 'POST /api/final',
+      rulePacks: 'GET /api/rule-packs',
+      reloadRulePacks: 'POST /api/rule-packs/reload',
+      ruleDryRun: 'POST /api/rule-packs/dry-run'
     }
   });
 });
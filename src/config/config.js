@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   port: process.env.PORT || 3000,
@@ -10,12 +11,84 @@ const config = {
   
   // File upload configuration
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
-  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/jpg', 'image/bmp'],
+  maxFilesPerRequest: parseInt(process.env.MAX_FILES_PER_REQUEST) || 10,
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/jpg', 'image/bmp', 'application/pdf'],
+  
+  // PDF configuration
+  maxPdfPages: parseInt(process.env.MAX_PDF_PAGES) || 20,
+  pdfMinTextChars: parseInt(process.env.PDF_MIN_TEXT_CHARS) || 20, // below this a page is OCR'd
+  pdfRenderScale: parseFloat(process.env.PDF_RENDER_SCALE) || 3, // 3x of 72 DPI = 216 DPI
   
   // OCR configuration
   tessdataPrefix: process.env.TESSDATA_PREFIX || './tessdata',
   ocrLanguage: process.env.OCR_LANGUAGE || 'eng',
   
+  // OCR worker pool configuration
+  ocrPoolSize: parseInt(process.env.OCR_POOL_SIZE) || 2,
+  ocrPoolLanguages: (process.env.OCR_POOL_LANGUAGES || process.env.OCR_LANGUAGE || 'eng').split(','),
+  ocrPoolWarmOnStart: process.env.OCR_POOL_WARM_ON_START !== 'false',
+  ocrPoolMaxJobsPerWorker: parseInt(process.env.OCR_POOL_MAX_JOBS_PER_WORKER) || 100,
+  ocrPoolMaxQueue: parseInt(process.env.OCR_POOL_MAX_QUEUE) || 200,
+  ocrPoolQueueTimeout: parseInt(process.env.OCR_POOL_QUEUE_TIMEOUT) || 60000,
+  ocrPoolInitTimeout: parseInt(process.env.OCR_POOL_INIT_TIMEOUT) || 30000,
+  // 0 turns the health check off
+  ocrPoolHealthCheckInterval: Number.isNaN(parseInt(process.env.OCR_POOL_HEALTH_CHECK_INTERVAL))
+    ? 30000
+    : parseInt(process.env.OCR_POOL_HEALTH_CHECK_INTERVAL),
+  ocrPoolDrainTimeout: parseInt(process.env.OCR_POOL_DRAIN_TIMEOUT) || 10000,
+  
+  // Orientation detection (Tesseract OSD)
+  orientationDetection: process.env.ORIENTATION_DETECTION !== 'false',
+  orientationMinConfidence: parseFloat(process.env.ORIENTATION_MIN_CONFIDENCE) || 2,
+  orientationRetryInterval: parseInt(process.env.ORIENTATION_RETRY_INTERVAL) || 5 * 60 * 1000,
+  
+  // Image preprocessing configuration
+  preprocessingProfiles: {
+    none: [],
+    standard: ['grayscale', 'normalize', 'upscale', 'deskew', 'crop_border'],
+    photo: ['grayscale', 'normalize', 'denoise', 'upscale', 'deskew', 'adaptive_threshold', 'crop_border'],
+    scan: ['grayscale', 'deskew', 'crop_border']
+  },
+  defaultPreprocessingProfile: process.env.PREPROCESSING_PROFILE || 'standard',
+  preprocessTargetDpi: parseInt(process.env.PREPROCESS_TARGET_DPI) || 300,
+  preprocessMinWidth: parseInt(process.env.PREPROCESS_MIN_WIDTH) || 1500,
+  preprocessMaxWidth: parseInt(process.env.PREPROCESS_MAX_WIDTH) || 4000,
+  preprocessMaxUpscale: parseFloat(process.env.PREPROCESS_MAX_UPSCALE) || 4,
+  preprocessMaxSkew: parseFloat(process.env.PREPROCESS_MAX_SKEW) || 10, // degrees
+  preprocessMinSkew: parseFloat(process.env.PREPROCESS_MIN_SKEW) || 0.5, // degrees
+  preprocessThresholdSensitivity: parseFloat(process.env.PREPROCESS_THRESHOLD_SENSITIVITY) || 0.15,
+  
+  // Line item checks: allowed difference as a fraction of the amount (1%)
+  lineItemTolerance: parseFloat(process.env.LINE_ITEM_TOLERANCE) || 0.01,
+  // Totals are rounded to the rupee, so sums may be off by this much
+  reconciliationTolerance: parseFloat(process.env.RECONCILIATION_TOLERANCE) || 1,
+  // Edits allowed when matching OCR-damaged keywords; a confusable swap
+  // (0/o, 1/l, c/o) counts as half an edit. 0 turns fuzzy matching off
+  fuzzyMaxDistance: process.env.FUZZY_MAX_DISTANCE !== undefined
+    ? parseFloat(process.env.FUZZY_MAX_DISTANCE)
+    : 1,
+  
+  // ISO 4217 code for amounts in documents with no currency marker at all;
+  // unset, the currency is reported as unknown
+  defaultCurrency: (process.env.DEFAULT_CURRENCY || '').trim().toUpperCase() || null,
+
+  // Rule packs: keywords, exclusions and classification rules (see rule-packs/)
+  rulePacksDir: process.env.RULE_PACKS_DIR || path.join(__dirname, '../../rule-packs'),
+  defaultRulePack: process.env.DEFAULT_RULE_PACK || 'default',
+  rulePacksWatch: process.env.RULE_PACKS_WATCH !== 'false',
+  // Bearer token for admin actions (POST /api/rule-packs/reload); unset,
+  // they are turned off
+  adminToken: process.env.ADMIN_TOKEN || null,
+  // Dry-runs compile patterns from the request; keep the sample text short
+  dryRunMaxText: parseInt(process.env.DRY_RUN_MAX_TEXT) || 10000,
+  // "tenant=pack,tenant=pack", picked by the X-Tenant-ID header
+  tenantRulePacks: Object.fromEntries(
+    (process.env.TENANT_RULE_PACKS || '')
+      .split(',')
+      .map(entry => entry.split('=').map(s => s.trim()))
+      .filter(([tenant, pack]) => tenant && pack)
+  ),
+  
   // Confidence thresholds
   minOcrConfidence: parseFloat(process.env.MIN_OCR_CONFIDENCE) || 0.2,
   minNormalizationConfidence: parseFloat(process.env.MIN_NORMALIZATION_CONFIDENCE) || 0.3,
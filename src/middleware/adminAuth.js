@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Gate for admin actions such as rule pack reloads: the request must carry
+ * `Authorization: Bearer <ADMIN_TOKEN>`. Without ADMIN_TOKEN configured,
+ * admin actions are turned off.
+ */
+function adminAuth(req, res, next) {
+  if (!config.adminToken) {
+    return res.status(403).json({
+      error: 'admin_disabled',
+      message: 'Admin actions are not available - ADMIN_TOKEN not configured'
+    });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  const given = Buffer.from(match ? match[1].trim() : '');
+  const expected = Buffer.from(config.adminToken);
+
+  // Constant-time comparison, so the token can't be guessed by timing
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    logger.warn(`Rejected admin request: ${req.method} ${req.path}`);
+    return res.status(401).json({
+      error: 'unauthorized',
+      message: 'A valid admin token is required'
+    });
+  }
+
+  next();
+}
+
+module.exports = adminAuth;
@@ -41,6 +41,12 @@ function errorHandler(err, req, res, next) {
       message: 'Failed to process image with OCR',
       details: config.nodeEnv === 'development' ? err.message : undefined
     };
+  } else if (err.message && err.message.includes('Invalid PDF')) {
+    statusCode = 400;
+    errorResponse = {
+      error: 'invalid_document',
+      message: err.message
+    };
   } else if (err.message && err.message.includes('Invalid base64')) {
     statusCode = 400;
     errorResponse = {
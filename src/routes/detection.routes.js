@@ -3,8 +3,19 @@ const multer = require('multer');
 const ocrService = require('../services/ocr.service');
 const normalizerService = require('../services/normalizer.service');
 const classifierService = require('../services/classifier.service');
+const lineItemService = require('../services/lineItem.service');
+const reconciliationService = require('../services/reconciliation.service');
+const labelAssociationService = require('../services/labelAssociation.service');
+const taxBreakdownService = require('../services/taxBreakdown.service');
+const percentageService = require('../services/percentage.service');
+const documentFieldsService = require('../services/documentFields.service');
+const documentTypeService = require('../services/documentType.service');
+const rulePackService = require('../services/rulePack.service');
+const ruleDryRunService = require('../services/ruleDryRun.service');
 const llmService = require('../services/llm.service');
+const adminAuth = require('../middleware/adminAuth');
 const validators = require('../utils/validators');
+const currencies = require('../utils/currencies');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 
@@ -14,7 +25,8 @@ const router = express.Router();
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: config.maxFileSize
+    fileSize: config.maxFileSize,
+    files: config.maxFilesPerRequest
   },
   fileFilter: (req, file, cb) => {
     const validation = validators.validateFile(file);
@@ -26,23 +38,74 @@ const upload = multer({
   }
 });
 
+/**
+ * Build OCR preprocessing options from request fields
+ */
+function getPreprocessingOptions(body) {
+  return {
+    profile: body.preprocessing_profile,
+    compare: body.compare_preprocessing === true || body.compare_preprocessing === 'true'
+  };
+}
+
+/**
+ * Resolve a rule set given by name or inline (a rule pack object) for a
+ * dry-run; inline packs are checked against the rule pack schema, and
+ * without either the tenant's or the default pack is used.
+ * Returns { pack, errors }
+ */
+function resolveRuleSet(value, field, tenant) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const { pack, errors } = rulePackService.fromInline(value);
+    return { pack, errors: errors.map(error => `${field}: ${error}`) };
+  }
+
+  const { valid, errors } = validators.validateRulePack(value, rulePackService.names(), field);
+  return { pack: valid ? rulePackService.resolve(value, tenant) : null, errors };
+}
+
 /**
  * POST /api/extract
- * Extract raw tokens from text or image
+ * Extract raw tokens from text, image or PDF
  */
-router.post('/extract', upload.single('file'), async (req, res, next) => {
+router.post('/extract', upload.array('file', config.maxFilesPerRequest), async (req, res, next) => {
   try {
-    const { text, image_base64 } = req.body;
-    const fileBuffer = req.file ? req.file.buffer : null;
+    const { text, image_base64, preprocessing_profile, compare_preprocessing, locale, rule_pack } = req.body;
+    const fileBuffers = (req.files || []).map(f => f.buffer);
 
     // Validate input
-    if (!text && !image_base64 && !fileBuffer) {
+    if (!text && !image_base64 && fileBuffers.length === 0) {
       return res.status(400).json({
         error: 'missing_input',
         message: 'Provide either text, image_base64, or file upload'
       });
     }
 
+    const preprocessingValidation = validators.validatePreprocessingOptions(
+      preprocessing_profile,
+      compare_preprocessing
+    );
+    if (!preprocessingValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(preprocessingValidation.errors)
+      );
+    }
+
+    const localeValidation = validators.validateLocale(locale);
+    if (!localeValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(localeValidation.errors)
+      );
+    }
+
+    const rulePackValidation = validators.validateRulePack(rule_pack, rulePackService.names());
+    if (!rulePackValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(rulePackValidation.errors)
+      );
+    }
+    const rulePack = rulePackService.resolve(rule_pack, req.get('X-Tenant-ID'));
+
     if (text) {
       const textValidation = validators.validateText(text);
       if (!textValidation.valid) {
@@ -53,7 +116,7 @@ router.post('/extract', upload.single('file'), async (req, res, next) => {
     }
 
     if (image_base64) {
-      const base64Validation = validators.validateBase64Image(image_base64);
+      const base64Validation = validators.validateBase64Images(image_base64);
       if (!base64Validation.valid) {
         return res.status(400).json(
           validators.buildErrorResponse(base64Validation.errors)
@@ -66,7 +129,10 @@ router.post('/extract', upload.single('file'), async (req, res, next) => {
     const result = await ocrService.extractFromTextOrImage({
       text: sanitizedText,
       image_base64,
-      fileBuffer
+      fileBuffers,
+      preprocessing: getPreprocessingOptions(req.body),
+      locale,
+      rulePack
     });
 
     // Guardrail: Check if any tokens found
@@ -74,11 +140,12 @@ router.post('/extract', upload.single('file'), async (req, res, next) => {
       logger.warn('No amounts found in document');
       return res.json({
         status: 'no_amounts_found',
-        reason: 'document too noisy or contains no numeric amounts'
+        reason: 'document too noisy or contains no numeric amounts',
+        rule_pack: rulePackService.describe(rulePack)
       });
     }
 
-    res.json(result);
+    res.json({ ...result, rule_pack: rulePackService.describe(rulePack) });
   } catch (error) {
     next(error);
   }
@@ -90,7 +157,7 @@ router.post('/extract', upload.single('file'), async (req, res, next) => {
  */
 router.post('/normalize', (req, res, next) => {
   try {
-    const { raw_tokens } = req.body;
+    const { raw_tokens, locale } = req.body;
 
     // Validate input
     if (!raw_tokens) {
@@ -107,8 +174,15 @@ router.post('/normalize', (req, res, next) => {
       );
     }
 
+    const localeValidation = validators.validateLocale(locale);
+    if (!localeValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(localeValidation.errors)
+      );
+    }
+
     // Normalize tokens
-    const result = normalizerService.normalizeTokens(raw_tokens);
+    const result = normalizerService.normalizeTokens(raw_tokens, { locale });
 
     // Guardrail: Check if any amounts normalized successfully
     if (result.normalized_amounts.length === 0) {
@@ -132,7 +206,7 @@ router.post('/normalize', (req, res, next) => {
  */
 router.post('/classify', async (req, res, next) => {
   try {
-    const { text, normalized_amounts } = req.body;
+    const { text, normalized_amounts, locale, rule_pack } = req.body;
 
     // Validate input
     if (!text) {
@@ -163,16 +237,31 @@ router.post('/classify', async (req, res, next) => {
       );
     }
 
+    const localeValidation = validators.validateLocale(locale);
+    if (!localeValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(localeValidation.errors)
+      );
+    }
+
+    const rulePackValidation = validators.validateRulePack(rule_pack, rulePackService.names());
+    if (!rulePackValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(rulePackValidation.errors)
+      );
+    }
+    const rulePack = rulePackService.resolve(rule_pack, req.get('X-Tenant-ID'));
+
     // Classify amounts
     const sanitizedText = validators.sanitizeText(text);
-    const result = classifierService.classifyAmounts(sanitizedText, normalized_amounts);
+    const result = classifierService.classifyAmounts(sanitizedText, normalized_amounts, { locale, rulePack });
 
     // Optional: Enhance with LLM if available
     if (llmService.enabled) {
       await llmService.enhanceClassification(sanitizedText, result.amounts);
     }
 
-    res.json(result);
+    res.json({ ...result, rule_pack: rulePackService.describe(rulePack) });
   } catch (error) {
     next(error);
   }
@@ -181,20 +270,55 @@ router.post('/classify', async (req, res, next) => {
 /**
  * POST /api/final
  * Complete pipeline: extract -> normalize -> classify
+ * Several files (or an image_base64 array) are processed as one multi-page document
  */
-router.post('/final', upload.single('file'), async (req, res, next) => {
+router.post('/final', upload.array('file', config.maxFilesPerRequest), async (req, res, next) => {
   try {
-    const { text, image_base64 } = req.body;
-    const fileBuffer = req.file ? req.file.buffer : null;
+    const { text, image_base64, preprocessing_profile, compare_preprocessing, locale, rule_pack } = req.body;
+    const fileBuffers = (req.files || []).map(f => f.buffer);
 
     // Validate input
-    if (!text && !image_base64 && !fileBuffer) {
+    if (!text && !image_base64 && fileBuffers.length === 0) {
       return res.status(400).json({
         error: 'missing_input',
         message: 'Provide either text, image_base64, or file upload'
       });
     }
 
+    const preprocessingValidation = validators.validatePreprocessingOptions(
+      preprocessing_profile,
+      compare_preprocessing
+    );
+    if (!preprocessingValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(preprocessingValidation.errors)
+      );
+    }
+
+    const localeValidation = validators.validateLocale(locale);
+    if (!localeValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(localeValidation.errors)
+      );
+    }
+
+    const rulePackValidation = validators.validateRulePack(rule_pack, rulePackService.names());
+    if (!rulePackValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(rulePackValidation.errors)
+      );
+    }
+    const rulePack = rulePackService.resolve(rule_pack, req.get('X-Tenant-ID'));
+
+    if (image_base64) {
+      const base64Validation = validators.validateBase64Images(image_base64);
+      if (!base64Validation.valid) {
+        return res.status(400).json(
+          validators.buildErrorResponse(base64Validation.errors)
+        );
+      }
+    }
+
     logger.info('Starting full pipeline');
 
     // Step 1: Extract
@@ -202,7 +326,10 @@ router.post('/final', upload.single('file'), async (req, res, next) => {
     const ocrResult = await ocrService.extractFromTextOrImage({
       text: sanitizedText,
       image_base64,
-      fileBuffer
+      fileBuffers,
+      preprocessing: getPreprocessingOptions(req.body),
+      locale,
+      rulePack
     });
 
     // Guardrail: Check if extraction failed
@@ -211,14 +338,20 @@ router.post('/final', upload.single('file'), async (req, res, next) => {
       return res.json({
         status: 'no_amounts_found',
         reason: 'document too noisy or contains no numeric amounts',
-        extracted_text: ocrResult.extracted_text || ''
+        extracted_text: ocrResult.extracted_text || '',
+        rule_pack: rulePackService.describe(rulePack)
       });
     }
 
     logger.info(`Step 1 complete: Extracted ${ocrResult.raw_tokens.length} tokens`);
 
+    // The document's type (pharmacy, IPD final bill, ...) tailors the
+    // classification rules for the rest of the pipeline
+    const documentType = documentTypeService.detect(ocrResult.extracted_text || '', rulePack);
+    const typedPack = rulePackService.forDocumentType(rulePack, documentType.type);
+
     // Step 2: Normalize
-    const normalizedResult = normalizerService.normalizeTokens(ocrResult.raw_tokens);
+    const normalizedResult = normalizerService.normalizeTokens(ocrResult.tokens, { locale });
 
     // Guardrail: Check if normalization failed
     if (normalizedResult.normalized_amounts.length === 0) {
@@ -227,7 +360,8 @@ router.post('/final', upload.single('file'), async (req, res, next) => {
         status: 'normalization_failed',
         reason: 'could not parse any valid numeric amounts from extracted tokens',
         raw_tokens: ocrResult.raw_tokens,
-        extracted_text: ocrResult.extracted_text
+        extracted_text: ocrResult.extracted_text,
+        rule_pack: rulePackService.describe(rulePack)
       });
     }
 
@@ -236,19 +370,103 @@ router.post('/final', upload.single('file'), async (req, res, next) => {
     // Step 3: Classify
     const classifiedResult = classifierService.classifyAmounts(
       ocrResult.extracted_text || sanitizedText || '',
-      normalizedResult.normalized_amounts
+      normalizedResult.normalized_amounts,
+      {
+        pages: ocrResult.pages,
+        provenance: normalizedResult.details.filter(d => d.success),
+        locale,
+        hint: normalizedResult.number_format,
+        rulePack: typedPack
+      }
     );
 
     logger.info(`Step 3 complete: Classified ${classifiedResult.amounts.length} amounts`);
 
-    // Step 4: Build final output with provenance
+    // Step 4: Link values printed apart from their labels
+    const associated = labelAssociationService.associate(
+      classifiedResult.amounts,
+      classifiedResult.unclassified,
+      { pages: ocrResult.pages, locale, hint: normalizedResult.number_format, rulePack: typedPack }
+    );
+
+    // Step 5: Confirm or correct the total against the amount in words
+    const wordsCheck = classifierService.checkTotalAgainstWords(
+      associated.amounts,
+      ocrResult.amount_in_words,
+      { pages: ocrResult.pages }
+    );
+
+    // Each amount carries the currency printed next to it, falling back to
+    // the document's, so the arithmetic below never mixes currencies. The
+    // document's is the one its amounts are marked in; the text's markers
+    // only decide when none is
+    const textCurrency = {
+      code: ocrResult.currency_hint,
+      confidence: ocrResult.currency_confidence,
+      ...ocrResult.currency_evidence
+    };
+    const documentCurrency = currencies.fromAmounts(
+      currencies.attribute(wordsCheck.amounts, ocrResult.pages, textCurrency),
+      textCurrency
+    );
+    const priced = currencies.attribute(wordsCheck.amounts, ocrResult.pages, documentCurrency);
+
+    // Step 6: Link rates ("Discount: 10%") to their amounts; a rate printed
+    // alone gives its amount
+    const rated = percentageService.link(ocrResult.percentages, priced, { rulePack: typedPack });
+
+    // Step 7: Check the bill arithmetic, resolving competing labels and
+    // inferring a missing amount
+    const { amounts, reconciliation } = reconciliationService.reconcile(rated.amounts);
+    const pricedAmounts = currencies.attribute(amounts, ocrResult.pages, documentCurrency);
+    const profile = documentTypeService.checkProfile(documentType.type, amounts, rulePack);
+
+    // Step 8: Itemised rows, checked against the subtotal
+    const lineItems = lineItemService.extractLineItems(ocrResult.pages, {
+      locale,
+      hint: normalizedResult.number_format,
+      rulePack: typedPack
+    });
+    const lineItemsCheck = lineItemService.checkAgainstSummary(lineItems, amounts);
+    const taxBreakdown = taxBreakdownService.build(pricedAmounts);
+
+    // Header fields: invoice number, dates, provider, patient, tax IDs
+    const documentFields = documentFieldsService.extract(ocrResult.pages, { locale });
+
+    // Step 9: Build final output with provenance
+    const amountCurrencies = [...new Set(pricedAmounts.map(a => a.currency).filter(Boolean))];
+    if (amountCurrencies.length > 1) {
+      logger.warn(`Mixed currencies (${amountCurrencies.join(', ')}): sums across them are not checked`);
+    }
+
     const finalOutput = {
-      currency: ocrResult.currency_hint || 'UNKNOWN',
-      amounts: classifiedResult.amounts.map(a => ({
+      currency: documentCurrency.code || 'UNKNOWN',
+      currency_confidence: documentCurrency.confidence,
+      document_type: {
+        type: documentType.type,
+        confidence: documentType.confidence,
+        signals: documentType.signals,
+        profile
+      },
+      document_fields: documentFields,
+      amounts: pricedAmounts.map(a => ({
         type: a.type,
         value: a.value,
-        source: a.source || 'inferred'
+        source: a.source || 'inferred',
+        page: a.page,
+        segment_index: a.segment_index,
+        char_start: a.char_start,
+        char_end: a.char_end,
+        bbox: a.bbox,
+        ocr_confidence: a.ocr_confidence,
+        context_span: a.context_span,
+        currency: a.currency || 'UNKNOWN',
+        currency_evidence: a.currency_evidence
       })),
+      line_items: lineItems,
+      tax_breakdown: taxBreakdown,
+      percentages: rated.percentages,
+      unclassified: currencies.attribute(associated.unclassified, ocrResult.pages, documentCurrency),
       status: 'ok',
       metadata: {
         extraction_confidence: ocrResult.confidence,
@@ -256,7 +474,30 @@ router.post('/final', upload.single('file'), async (req, res, next) => {
         classification_confidence: classifiedResult.confidence,
         total_tokens_extracted: ocrResult.raw_tokens.length,
         amounts_normalized: normalizedResult.normalized_amounts.length,
-        amounts_classified: classifiedResult.amounts.length
+        amounts_classified: classifiedResult.amounts.length,
+        rule_pack: rulePackService.describe(rulePack),
+        document_type_scores: documentType.scores,
+        currency: {
+          source: documentCurrency.source,
+          counts: documentCurrency.counts,
+          amount_currencies: amountCurrencies,
+          mixed: amountCurrencies.length > 1
+        },
+        associations: associated.associations,
+        amount_in_words: wordsCheck.check,
+        line_items_check: lineItemsCheck,
+        reconciliation,
+        pages: ocrResult.pages.map(p => ({
+          page: p.page,
+          document: p.document,
+          source: p.source,
+          confidence: p.confidence,
+          preprocessing: p.preprocessing,
+          orientation: p.orientation,
+          amounts: amounts
+            .filter(a => a.page === p.page)
+            .map(a => ({ type: a.type, value: a.value }))
+        }))
       }
     };
 
@@ -284,6 +525,96 @@ router.post('/final', upload.single('file'), async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/rule-packs
+ * List the loaded rule packs; which tenant uses which pack is not disclosed
+ */
+router.get('/rule-packs', (req, res) => {
+  res.json({
+    default: config.defaultRulePack,
+    packs: rulePackService.list()
+  });
+});
+
+/**
+ * POST /api/rule-packs/reload
+ * Reload rule packs from disk; packs that fail validation keep their
+ * previous version. Admin only (see middleware/adminAuth)
+ */
+router.post('/rule-packs/reload', adminAuth, (req, res) => {
+  const { loaded, errors } = rulePackService.load();
+
+  res.status(errors.length > 0 ? 422 : 200).json({
+    status: errors.length > 0 ? 'partial' : 'ok',
+    loaded,
+    errors,
+    packs: rulePackService.list()
+  });
+});
+
+/**
+ * POST /api/rule-packs/dry-run
+ * Show how a rule pack (by name or inline) reads sample text, optionally
+ * diffed against a second one given as `compare_with`
+ */
+router.post('/rule-packs/dry-run', (req, res, next) => {
+  try {
+    const { text, locale, rule_pack, compare_with } = req.body;
+
+    if (!text) {
+      return res.status(400).json({
+        error: 'missing_parameter',
+        message: 'text is required'
+      });
+    }
+
+    const textValidation = validators.validateText(text);
+    if (textValidation.valid && text.length > config.dryRunMaxText) {
+      textValidation.valid = false;
+      textValidation.errors.push(`Text too long for a dry-run (max ${config.dryRunMaxText} characters)`);
+    }
+    if (!textValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(textValidation.errors)
+      );
+    }
+
+    const localeValidation = validators.validateLocale(locale);
+    if (!localeValidation.valid) {
+      return res.status(400).json(
+        validators.buildErrorResponse(localeValidation.errors)
+      );
+    }
+
+    const ruleSet = resolveRuleSet(rule_pack, 'rule_pack', req.get('X-Tenant-ID'));
+    const comparison = compare_with === undefined ? null : resolveRuleSet(compare_with, 'compare_with');
+    const ruleSetErrors = [...ruleSet.errors, ...(comparison ? comparison.errors : [])];
+    if (ruleSetErrors.length > 0) {
+      return res.status(400).json(validators.buildErrorResponse(ruleSetErrors));
+    }
+
+    const sanitizedText = validators.sanitizeText(text);
+    const result = ruleDryRunService.run(sanitizedText, ruleSet.pack, { locale });
+    const response = {
+      rule_pack: rulePackService.describe(ruleSet.pack),
+      ...result
+    };
+
+    if (comparison) {
+      const compared = ruleDryRunService.run(sanitizedText, comparison.pack, { locale });
+      response.compare_with = {
+        rule_pack: rulePackService.describe(comparison.pack),
+        ...compared
+      };
+      response.diff = ruleDryRunService.diff(result, compared);
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/validate
  * Validate classification results (optional LLM validation)
@@ -1,54 +1,11 @@
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const numberFormat = require('../utils/numberFormat');
+const fuzzyMatch = require('../utils/fuzzyMatch');
+const currencies = require('../utils/currencies');
+const rulePackService = require('./rulePack.service');
 
 class ClassifierService {
-  constructor() {
-    this.classificationRules = [
-      {
-        type: 'total_bill',
-        keywords: ['total amount', 'grand total', 'invoice total', 'net amount', 'total', 't0tal', 't0tal:'],
-        patterns: [/t[0o]tal/i],
-        priority: 10
-      },
-      {
-        type: 'paid',
-        keywords: ['amount paid', 'paid', 'received', 'payment', 'cash', 'pald', 'pald:'],
-        patterns: [/pa[il]d/i],
-        priority: 9
-      },
-      {
-        type: 'due',
-        keywords: ['balance due', 'due', 'balance', 'remaining', 'outstanding', 'due:', 'balance:'],
-        patterns: [/\bdue\b/i, /\bbalance\b/i],
-        priority: 9
-      },
-      {
-        type: 'subtotal',
-        keywords: ['subtotal', 'sub-total', 'sub total', 'before tax'],
-        patterns: [/sub\s*total/i],
-        priority: 8
-      },
-      {
-        type: 'tax',
-        keywords: ['tax', 'gst', 'vat', 'cgst', 'sgst', 'igst'],
-        patterns: [/\btax\b/i, /\bgst\b/i, /\bvat\b/i],
-        priority: 7
-      },
-      {
-        type: 'discount',
-        keywords: ['discount', 'off', 'reduction'],
-        patterns: [/discount/i],
-        priority: 6
-      },
-      {
-        type: 'service_charge',
-        keywords: ['room charges', 'consultation', 'lab tests', 'medicines', 'charges'],
-        patterns: [/charges/i, /consultation/i],
-        priority: 5
-      }
-    ];
-  }
-
   findContextSnippets(text) {
     const snippets = text.split(/[|\n\r]+/).map(s => s.trim()).filter(s => s.length > 0);
     logger.info(`Found ${snippets.length} context snippets: ${JSON.stringify(snippets)}`);
@@ -57,47 +14,65 @@ class ClassifierService {
 
   /**
    * Extract and normalize amounts from a snippet - MUST match OCR logic exactly
+   * `locale` and `hint` are the number format the normalizer used
    */
-  extractAmountsFromSnippet(snippet) {
+  extractAmountsFromSnippet(snippet, { locale = 'auto', hint = null } = {}) {
     const amounts = [];
     
     // Use comprehensive pattern that catches all cases
+    // Signs are read as in OCR extraction: "-Rs 200", "(Rs 500)", ": -200", "1,200 CR"
+    const currency = currencies.markerPattern;
     const patterns = [
       // Pattern 1: Currency symbol followed by number
-      /(?:Rs\.?|INR|USD|EUR|GBP|\$|€|£|₹)\s*([l1IO0-9,]+(?:\.[l1IO0-9]{1,2})?)/gi,
-      // Pattern 2: Colon followed by optional currency and number
-      /:\s*(?:Rs\.?|INR|\$|€|£|₹)?\s*([l1IO0-9,]+(?:\.[l1IO0-9]{1,2})?)/gi,
+      new RegExp(
+        `(?:(?<![:\\w])([-−]|\\(\\s*))?(?:${currency})\\s*(${numberFormat.signedAmountPattern})`,
+        'gid'
+      ),
+      // Pattern 2: Colon followed by optional currency and number (empty group keeps the value in group 2)
+      new RegExp(`:-?\\s*()(?:${currency})?\\s*(${numberFormat.signedAmountPattern})`, 'gid'),
+      // Pattern 3: Bare number after a label ("Total 1200 Paid 1000")
+      new RegExp(`()${numberFormat.labelledAmountPattern}`, 'gid'),
+      // Pattern 4: Number followed by its currency ("1,200.00 USD"), unless
+      // it has one before it: in "Rs 50 Rs 30" the second "Rs" is 30's
+      new RegExp(
+        `()(?<![\\w.,'’−-])(?<!(?:${currency})\\s*)(?=[-−(]?\\s*[lIO]?\\d)(${numberFormat.signedAmountPattern})\\s*(?:${currency})`,
+        'gid'
+      )
     ];
 
     logger.debug(`Extracting amounts from: "${snippet}"`);
     
     for (const pattern of patterns) {
-      pattern.lastIndex = 0; // Reset regex state
       const matches = [...snippet.matchAll(pattern)];
       
       for (const match of matches) {
-        let valueStr = match[1];
-        if (!valueStr) continue;
+        if (!match[2]) continue;
+        // A rate, not an amount ("Discount: 10%")
+        if (/^\s*%/.test(snippet.slice(match.indices[2][1]))) continue;
+        // The start of an ID ("GSTIN: 27AABCU9603R1ZM"), as in OCR extraction
+        if (/^[a-z]+\d/i.test(snippet.slice(match.indices[2][1]))) continue;
+        let valueStr = (match[1] || '').trim() + match[2];
         
         logger.debug(`  Raw match: "${match[0]}" -> captured: "${valueStr}"`);
         
         // Apply EXACT normalization
         const normalized = valueStr
-          .replace(/[,\s]/g, '')
           .replace(/[lL]/g, '1')
           .replace(/[iI]/g, '1')
-          .replace(/O/g, '0');
+          .replace(/[oO]/g, '0');
         
         logger.debug(`  Normalized: "${valueStr}" -> "${normalized}"`);
         
-        const value = parseFloat(normalized);
+        const parsed = numberFormat.parseSigned(normalized, { locale, hint });
+        const value = parsed ? parsed.value : NaN;
         
-        if (Number.isFinite(value) && value > 0) {
+        if (Number.isFinite(value) && value !== 0) {
           const roundedValue = Math.round(value * 100) / 100;
           amounts.push({
             value: roundedValue,
             raw: match[0],
-            position: match.index
+            position: match.indices[2][0],
+            end: match.index + match[0].length
           });
           logger.debug(`  ✓ Extracted value: ${roundedValue}`);
         } else {
@@ -106,26 +81,65 @@ class ClassifierService {
       }
     }
 
-    // Remove duplicate values within this snippet
-    const uniqueAmounts = [...new Map(amounts.map(a => [a.value, a])).values()];
+    // Both patterns can match the same number ("Total: Rs 500"); repeated
+    // values elsewhere in the snippet are separate amounts
+    const uniqueAmounts = [...new Map(amounts.map(a => [a.position, a])).values()]
+      .sort((a, b) => a.position - b.position);
     logger.debug(`  Total unique amounts extracted: ${uniqueAmounts.length}`);
     
     return uniqueAmounts;
   }
 
   /**
-   * Match snippet to classification type
+   * Detect the document's number format from every amount-like string in it
+   */
+  detectTextFormat(text) {
+    const numbers = text.match(/\d(?:\d|[.,'’](?=\d)| (?=\d{3}(?!\d)))*/g) || [];
+    return numberFormat.detectFormat(numbers);
+  }
+
+  /**
+   * Match snippet to classification type, using the rule pack's rules
    */
-  matchSnippetToType(snippet) {
-    const lowerSnippet = snippet.toLowerCase();
+  matchSnippetToType(snippet, rulePack = rulePackService.get()) {
     let bestMatch = null;
     let highestScore = 0;
 
     logger.debug(`Matching snippet to type: "${snippet}"`);
 
-    for (const rule of this.classificationRules) {
+    for (const rule of this.scoreRules(snippet, rulePack)) {
+      if (rule.score > highestScore) {
+        highestScore = rule.score;
+        bestMatch = {
+          type: rule.type,
+          confidence: Math.min(0.95, 0.5 + (rule.score / 30)),
+          keywords: rule.keywords,
+          keywordMatches: rule.keywordMatches,
+          patternMatched: rule.patternMatched,
+          score: rule.score
+        };
+      }
+    }
+
+    if (bestMatch) {
+      logger.debug(`  Best match: ${bestMatch.type} (score: ${bestMatch.score}, confidence: ${bestMatch.confidence.toFixed(2)})`);
+    } else {
+      logger.debug(`  No match found`);
+    }
+
+    return bestMatch;
+  }
+
+  /**
+   * Score a snippet against every classification rule, in rule pack order:
+   * a matching pattern adds twice the rule's priority, each keyword found
+   * adds its priority
+   */
+  scoreRules(snippet, rulePack = rulePackService.get()) {
+    return rulePack.classificationRules.map(rule => {
       let score = 0;
       let matchedKeywords = [];
+      let keywordMatches = [];
       let patternMatched = false;
 
       // Check patterns
@@ -139,61 +153,181 @@ class ClassifierService {
         }
       }
 
-      // Check keywords
+      // Check keywords, tolerating OCR damage ("Tota1", "Balanoe")
       for (const keyword of rule.keywords) {
-        if (lowerSnippet.includes(keyword.toLowerCase())) {
+        const found = fuzzyMatch.findKeyword(snippet, keyword);
+        if (found) {
           score += rule.priority;
           matchedKeywords.push(keyword);
+          keywordMatches.push(found);
         }
       }
 
-      if (score > highestScore) {
-        highestScore = score;
-        bestMatch = {
-          type: rule.type,
-          confidence: Math.min(0.95, 0.5 + (score / 30)),
-          keywords: matchedKeywords,
-          patternMatched,
-          score
-        };
+      return {
+        type: rule.type,
+        priority: rule.priority,
+        score,
+        keywords: matchedKeywords,
+        keywordMatches,
+        patternMatched
+      };
+    });
+  }
+
+  /**
+   * Whether a text is an identifier or date line ("GSTIN: 27AABCU9603R1ZM",
+   * "NPI: 1234567893", "Invoice No: INV-2024-118"): one of the rule pack's
+   * exclude patterns matches it. Such a line is never a label, though
+   * "GSTIN" holds the tax keyword "gst".
+   */
+  isIdentifier(text, rulePack = rulePackService.get()) {
+    return rulePack.excludePatterns.some(pattern => {
+      pattern.lastIndex = 0;
+      return pattern.test(text);
+    });
+  }
+
+  /**
+   * Pair each amount in a snippet with the text that labels it. OCR often
+   * merges columns into one line ("Total: 1200 Paid: 1000 Due: 200"), so
+   * with several amounts each gets the text after the previous amount up to
+   * its own end (the last one also keeps the rest of the line). A span with
+   * no label of its own reaches back to the nearest preceding label, but
+   * not past an identifier (see isIdentifier).
+   * Returns [{ text, start, end }] with offsets in the snippet.
+   */
+  labelSpans(snippet, snippetAmounts, rulePack = rulePackService.get()) {
+    if (snippetAmounts.length <= 1) {
+      return snippetAmounts.map(() => ({ text: snippet, start: 0, end: snippet.length }));
+    }
+
+    const bounds = snippetAmounts.map((amount, index) => ({
+      start: index === 0 ? 0 : snippetAmounts[index - 1].end,
+      end: index === snippetAmounts.length - 1 ? snippet.length : amount.end
+    }));
+
+    return bounds.map(({ end }, index) => {
+      let from = index;
+      while (
+        from > 0 &&
+        !this.matchSnippetToType(this.spanText(snippet, bounds[from].start, end).text, rulePack) &&
+        !this.isIdentifier(this.spanText(snippet, bounds[from - 1].start, bounds[from - 1].end).text, rulePack)
+      ) {
+        from--;
       }
+      const labelled = this.spanText(snippet, bounds[from].start, end);
+      return this.matchSnippetToType(labelled.text, rulePack) ? labelled : this.spanText(snippet, bounds[index].start, end);
+    });
+  }
+
+  /**
+   * Trimmed text between two offsets, with the offsets adjusted to match
+   */
+  spanText(snippet, start, end) {
+    const raw = snippet.substring(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const text = raw.trim();
+    return { text, start: start + leading, end: start + leading + text.length };
+  }
+
+  /**
+   * Classification for a negative amount with no matching keywords
+   */
+  negativeFallback() {
+    return {
+      type: 'adjustment',
+      confidence: 0.6,
+      keywords: [],
+      keywordMatches: [],
+      patternMatched: false,
+      score: 0
+    };
+  }
+
+  /**
+   * Build snippets tagged with the page they came from
+   */
+  buildPageSnippets(text, pages) {
+    if (!Array.isArray(pages) || pages.length === 0) {
+      return this.findContextSnippets(text)
+        .map((snippet, index) => ({ snippet, page: null, segment_index: index }));
     }
 
-    if (bestMatch) {
-      logger.debug(`  Best match: ${bestMatch.type} (score: ${bestMatch.score}, confidence: ${bestMatch.confidence.toFixed(2)})`);
-    } else {
-      logger.debug(`  No match found`);
+    // Segment indexes count per page, as in OCRService.extractTokenMatches
+    const snippets = [];
+    for (const page of pages) {
+      if (!page.text) continue;
+      this.findContextSnippets(page.text).forEach((snippet, index) => {
+        snippets.push({ snippet, page: page.page, segment_index: index });
+      });
     }
+    return snippets;
+  }
 
-    return bestMatch;
+  /**
+   * Claim the normalized amount occurrence an extracted value belongs to,
+   * preferring the token from the same segment, then the same page
+   */
+  takeOccurrence(occurrences, value, page, segmentIndex) {
+    const candidates = occurrences.filter(o => !o.used && Math.abs(o.value - value) < 0.01);
+
+    const match =
+      candidates.find(o => o.origin && o.origin.page === page && o.origin.segment_index === segmentIndex) ||
+      candidates.find(o => page === null || (o.origin && o.origin.page === page)) ||
+      candidates[0];
+    if (!match) return null;
+
+    match.used = true;
+    return match;
   }
 
   /**
    * Main classification method
+   * Pass `pages` ([{ page, text }]) to attribute each amount to its page, and
+   * `provenance` (the successful normalization details, one per entry of
+   * `normalizedAmounts`) to carry positions and bounding boxes through.
+   * Each occurrence of a value is classified once, so a repeated value
+   * (total = paid = 1200) can get a different type each time.
+   * `locale`/`hint` should be the normalizer's number format so both read
+   * separators the same way; without a hint it is detected from the text.
+   * Occurrences left without a type are returned in `unclassified` with
+   * the reason. `rulePack` supplies the classification rules.
    */
-  classifyAmounts(text, normalizedAmounts) {
+  classifyAmounts(text, normalizedAmounts, { pages, provenance = [], locale = 'auto', hint, rulePack = rulePackService.get() } = {}) {
     if (!text || !normalizedAmounts || normalizedAmounts.length === 0) {
       logger.warn('No text or normalized amounts provided');
-      return { amounts: [], confidence: 0.0, classification_details: [] };
+      return { amounts: [], confidence: 0.0, classification_details: [], unclassified: [] };
     }
 
     logger.info(`\n========== CLASSIFICATION START ==========`);
     logger.info(`Normalized amounts to classify: ${JSON.stringify(normalizedAmounts)}`);
 
-    const snippets = this.findContextSnippets(text);
+    const snippets = this.buildPageSnippets(text, pages);
+    const format = { locale, hint: hint || this.detectTextFormat(text) };
     const amounts = [];
     const classificationDetails = [];
-    const amountUsage = new Map(normalizedAmounts.map(a => [a, false]));
-
-    // Track which type+value combinations we've seen
+    const missed = [];
+    const occurrences = normalizedAmounts.map((value, index) => ({
+      value,
+      origin: provenance[index] || null,
+      used: false
+    }));
+
+    // Type+value combinations already classified, for values with no occurrence left
     const classifiedPairs = new Set();
 
     // Phase 1: Context-based classification
     for (let i = 0; i < snippets.length; i++) {
-      const snippet = snippets[i];
+      const { snippet, page, segment_index: segmentIndex } = snippets[i];
       logger.info(`\n--- Snippet ${i + 1}/${snippets.length}: "${snippet}" ---`);
-      
-      const snippetAmounts = this.extractAmountsFromSnippet(snippet);
+
+      // Identifier lines are left out of extraction too (OCRService.isMonetaryLine)
+      if (this.isIdentifier(snippet, rulePack)) {
+        logger.info(`Identifier line, not classified: "${snippet}"`);
+        continue;
+      }
+
+      const snippetAmounts = this.extractAmountsFromSnippet(snippet, format);
       logger.info(`Extracted ${snippetAmounts.length} amount(s) from snippet`);
       
       if (snippetAmounts.length === 0) {
@@ -201,8 +335,11 @@ class ClassifierService {
         continue;
       }
 
-      for (const { value } of snippetAmounts) {
-        logger.info(`\nProcessing extracted value: ${value}`);
+      const spans = this.labelSpans(snippet, snippetAmounts, rulePack);
+
+      for (const [index, { value }] of snippetAmounts.entries()) {
+        const span = spans[index];
+        logger.info(`\nProcessing extracted value: ${value} (context: "${span.text}")`);
         
         // Find matching normalized amount
         const matchedAmount = normalizedAmounts.find(na => Math.abs(na - value) < 0.01);
@@ -215,64 +352,152 @@ class ClassifierService {
 
         logger.info(`  ✓ Matched with normalized amount: ${matchedAmount}`);
 
-        // Get classification type
-        const classification = this.matchSnippetToType(snippet);
+        // Get classification type; a negative amount on an unlabelled line
+        // still reduces the bill, so treat it as an adjustment
+        const classification = this.matchSnippetToType(span.text, rulePack) ||
+          (matchedAmount < 0 ? this.negativeFallback() : null);
 
         if (!classification) {
           logger.warn(`  Could not classify snippet`);
+          missed.push({ value: matchedAmount, snippet: span.text, page, segmentIndex, classification: null, reason: 'no_snippet_match' });
           continue;
         }
 
         if (classification.confidence <= 0.5) {
           logger.warn(`  Classification confidence too low: ${classification.confidence}`);
+          missed.push({ value: matchedAmount, snippet: span.text, page, segmentIndex, classification, reason: 'low_confidence' });
           continue;
         }
 
-        // Check if we've already classified this exact type+value combination
+        // Claim an unused occurrence of the value; once all are used (callers
+        // that send each value once), only skip exact type+value repeats
         const pairKey = `${classification.type}:${matchedAmount}`;
-        if (classifiedPairs.has(pairKey)) {
+        const occurrence = this.takeOccurrence(occurrences, matchedAmount, page, segmentIndex);
+        if (!occurrence && classifiedPairs.has(pairKey)) {
           logger.info(`  Already classified this pair: ${pairKey}, skipping`);
           continue;
         }
 
         // Add classification
-        const truncatedSnippet = snippet.length > 80 ? snippet.substring(0, 80) + '...' : snippet;
+        const truncatedSnippet = span.text.length > 80 ? span.text.substring(0, 80) + '...' : span.text;
         
+        const origin = occurrence ? occurrence.origin : null;
+
         amounts.push({
           type: classification.type,
           value: matchedAmount,
           source: `text: '${truncatedSnippet}'`,
+          page: page ?? (origin ? origin.page : null),
+          segment_index: origin ? origin.segment_index : segmentIndex,
+          char_start: origin ? origin.char_start : null,
+          char_end: origin ? origin.char_end : null,
+          bbox: origin ? origin.bbox : null,
+          ocr_confidence: origin ? origin.ocr_confidence : null,
+          context_span: span,
           confidence: classification.confidence
         });
 
         classificationDetails.push({
           amount: matchedAmount,
           snippet: snippet,
+          context_span: span,
+          page: page,
+          segment_index: segmentIndex,
           type: classification.type,
           matched_keywords: classification.keywords,
+          keyword_matches: classification.keywordMatches,
           pattern_matched: classification.patternMatched
         });
 
         classifiedPairs.add(pairKey);
-        amountUsage.set(matchedAmount, true);
         
         logger.info(`  ✓✓✓ CLASSIFIED: ${matchedAmount} as '${classification.type}' from: "${truncatedSnippet}"`);
       }
     }
 
+    const unclassified = this.collectUnclassified(missed, occurrences);
+
     logger.info(`\n========== CLASSIFICATION COMPLETE ==========`);
     logger.info(`Successfully classified: ${amounts.length}/${normalizedAmounts.length} amounts`);
+    if (unclassified.length > 0) {
+      logger.warn(`Unclassified: ${unclassified.length} amount(s)`);
+    }
 
     // Calculate confidence
     const confidence = this.calculateClassificationConfidence(amounts, normalizedAmounts.length);
 
     return {
-      amounts: amounts.map(a => ({ type: a.type, value: a.value, source: a.source })),
+      amounts: amounts.map(a => ({
+        type: a.type,
+        value: a.value,
+        source: a.source,
+        page: a.page,
+        segment_index: a.segment_index,
+        char_start: a.char_start,
+        char_end: a.char_end,
+        bbox: a.bbox,
+        ocr_confidence: a.ocr_confidence,
+        context_span: a.context_span
+      })),
       confidence: parseFloat(confidence.toFixed(2)),
-      classification_details: classificationDetails
+      classification_details: classificationDetails,
+      unclassified
     };
   }
 
+  /**
+   * Turn the snippets that couldn't be classified into unclassified entries,
+   * one per occurrence still unused once classification is done (a value
+   * classified elsewhere isn't reported). Occurrences no snippet contained
+   * are reported as `no_label` when they came from a line of the text, and
+   * as not found in the text otherwise.
+   */
+  collectUnclassified(missed, occurrences) {
+    const unclassified = [];
+
+    for (const miss of missed) {
+      const occurrence = this.takeOccurrence(occurrences, miss.value, miss.page, miss.segmentIndex);
+      if (!occurrence) continue;
+
+      const origin = occurrence.origin;
+      unclassified.push({
+        value: miss.value,
+        snippet: miss.snippet.length > 80 ? miss.snippet.substring(0, 80) + '...' : miss.snippet,
+        page: miss.page ?? (origin ? origin.page : null),
+        segment_index: origin ? origin.segment_index : miss.segmentIndex,
+        char_start: origin ? origin.char_start : null,
+        char_end: origin ? origin.char_end : null,
+        bbox: origin ? origin.bbox : null,
+        ocr_confidence: origin ? origin.ocr_confidence : null,
+        candidate_type: miss.classification ? miss.classification.type : null,
+        score: miss.classification ? miss.classification.score : 0,
+        reason: miss.reason
+      });
+    }
+
+    // An occurrence with a position was read from a line that has no label
+    // of its own ("12,300.00" under "Net Payable"); the rest never appeared
+    for (const occurrence of occurrences.filter(o => !o.used)) {
+      const origin = occurrence.origin;
+      const located = Boolean(origin) && origin.segment_index !== null && origin.segment_index !== undefined;
+      unclassified.push({
+        value: occurrence.value,
+        snippet: null,
+        page: origin ? origin.page : null,
+        segment_index: origin ? origin.segment_index : null,
+        char_start: origin ? origin.char_start : null,
+        char_end: origin ? origin.char_end : null,
+        bbox: origin ? origin.bbox : null,
+        ocr_confidence: origin ? origin.ocr_confidence : null,
+        candidate_type: null,
+        score: 0,
+        reason: located ? 'no_label' : 'not_found_in_text'
+      });
+    }
+
+    return unclassified;
+  }
+
   calculateClassificationConfidence(amounts, totalAmounts) {
     if (totalAmounts === 0) return 0;
 
@@ -303,7 +528,7 @@ class ClassifierService {
       typeMap[amount.type].push(amount.value);
     }
 
-    const singletonTypes = ['total_bill', 'subtotal', 'paid'];
+    const singletonTypes = ['total_bill', 'subtotal', 'paid', 'patient_payable'];
     for (const type of singletonTypes) {
       if (typeMap[type] && typeMap[type].length > 1) {
         issues.push(`Multiple ${type} amounts found: ${typeMap[type].join(', ')}`);
@@ -326,8 +551,61 @@ class ClassifierService {
       issues: issues
     };
   }
-}
 
+  /**
+   * Check the total_bill amount against the amount printed in words
+   * (see utils/amountInWords). Words survive OCR better than digits, so a
+   * mismatching total read by OCR is corrected; one from digital text is
+   * only flagged. With no total_bill, the words value becomes the total.
+   */
+  checkTotalAgainstWords(amounts, words, { pages = [] } = {}) {
+    if (!words) return { amounts, check: null };
+
+    const totalIndex = amounts.findIndex(a => a.type === 'total_bill');
+    const total = totalIndex !== -1 ? amounts[totalIndex] : null;
+    const check = {
+      text: words.text,
+      value: words.value,
+      currency: words.currency,
+      page: words.page,
+      numeric_total: total ? total.value : null
+    };
+    const source = `words: '${words.text}'`;
+
+    if (!total) {
+      logger.info(`No total_bill found, using amount in words: ${words.value}`);
+      return {
+        amounts: [...amounts, {
+          type: 'total_bill',
+          value: words.value,
+          source,
+          page: words.page,
+          segment_index: null,
+          char_start: null,
+          char_end: null,
+          bbox: null,
+          ocr_confidence: null,
+          context_span: null
+        }],
+        check: { ...check, status: 'inferred' }
+      };
+    }
 
+    if (Math.abs(total.value - words.value) < 0.01) {
+      return { amounts, check: { ...check, status: 'confirmed' } };
+    }
+
+    const page = pages.find(p => p.page === total.page);
+    if (!page || page.source !== 'ocr') {
+      logger.warn(`Total ${total.value} does not match amount in words ${words.value}`);
+      return { amounts, check: { ...check, status: 'mismatch' } };
+    }
+
+    logger.warn(`Correcting OCR total ${total.value} to amount in words ${words.value}`);
+    const corrected = [...amounts];
+    corrected[totalIndex] = { ...total, value: words.value, source };
+    return { amounts: corrected, check: { ...check, status: 'corrected' } };
+  }
+}
 
 module.exports = new ClassifierService();
\ No newline at end of file
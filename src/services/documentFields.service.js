@@ -0,0 +1,271 @@
+const logger = require('../utils/logger');
+const ocrService = require('./ocr.service');
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?';
+
+// Dates as printed: "12/03/2024", "12-03-24", "2024-03-12", "12 Mar 2024",
+// "12-March-2024", "Mar 12, 2024"
+const DATES = [
+  { order: 'numeric', pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?!\d)/ },
+  { order: 'ymd', pattern: /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(?!\d)/ },
+  { order: 'dmy', pattern: new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?[\\s/-]*${MONTH}[\\s/,-]*(\\d{4}|\\d{2})(?!\\d)`, 'i') },
+  { order: 'mdy', pattern: new RegExp(`^${MONTH}\\s*(\\d{1,2})(?:st|nd|rd|th)?,?\\s*(\\d{4})(?!\\d)`, 'i') }
+];
+
+// Letters and digits, joined by "-" or "/", with at least one digit
+const IDENTIFIER = /^(?=[A-Z0-9/-]*\d)[A-Z0-9](?:[A-Z0-9]|[/-](?=[A-Z0-9]))*/i;
+
+// A person's or business's name, up to the next label on the line
+const NAME = /^[A-Z][A-Z.'&, -]*?(?=\s{2,}|\s*[|:]|\s+(?:age|sex|gender|uhid|mrn|mr\s*no|ip\s*no|dob|id|date|bill|ph|phone|mobile|tel|gstin)\b|$)/i;
+
+// Indian tax IDs: GSTIN is state code + PAN + entity number + "Z" + check
+// character; PAN is 5 letters, 4 digits, a letter
+const GSTIN = /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/i;
+const PAN = /\b[A-Z]{5}\d{4}[A-Z]\b/i;
+
+// Words in a hospital's, clinic's or pharmacy's name; "medical" alone is
+// usually the document's title ("MEDICAL BILL")
+const PROVIDER = /\b(?:hospitals?|clinics?|pharmacy|chemists?|druggists?|medicals|medical\s+(?:centre|center|store|hall)|healthcare|nursing\s+home|diagnostics?|polyclinic|laborator(?:y|ies)|medicare)\b/i;
+
+// A title made only of a kind of provider and a kind of document
+// ("Hospital Bill", "Pharmacy Tax Invoice") names no provider
+const TITLE = /^(?:(?:medical|hospital|clinic|pharmacy|diagnostics?|laboratory|tax|final|cash|credit|ipd|opd|bill|invoice|receipt|memo|statement|summary|of|[&/-])\s*)+$/i;
+
+class DocumentFieldsService {
+  constructor() {
+    // Labels in front of each field; the value right after the label is
+    // read with the field's value reader
+    this.fields = [
+      { field: 'invoice_number', value: 'identifier', label: /\b(?:invoice|bill|receipt)\s*(?:no\b\.?|number\b|num\b|#)\s*[:#.-]?\s*/i },
+      { field: 'bill_date', value: 'date', label: /(?<!\b(?:admission|discharge|birth|expiry|exp|due)\s*)\b(?:(?:bill|invoice|receipt)\s*)?date\b(?!\s+of\b)\s*[:.-]?\s*/i },
+      { field: 'admission_date', value: 'date', label: /\b(?:date\s+of\s+admission|admission\s*date|admitted\s+on|date\s+admitted|doa)\b\s*[:.-]?\s*/i },
+      { field: 'discharge_date', value: 'date', label: /\b(?:date\s+of\s+discharge|discharge\s*date|discharged\s+on|dod)\b\s*[:.-]?\s*/i },
+      { field: 'provider_name', value: 'name', label: /\b(?:hospital|clinic|pharmacy|provider|facility)\s*name\s*[:-]\s*/i },
+      { field: 'patient_name', value: 'name', label: /\b(?:patient(?:'s)?\s*name|name\s+of\s+(?:the\s+)?patient|patient)\s*[:-]\s*/i },
+      { field: 'patient_id', value: 'identifier', label: /\b(?:uhid|mrn|mr\s*no|patient\s*id|ip\s*no|ipd\s*no|reg(?:istration)?\s*no|hospital\s*no)\b\.?\s*[:#.-]?\s*/i },
+      { field: 'gstin', value: 'gstin', label: /\bgst\s*(?:in|no|number)\b\.?\s*[:#.-]?\s*/i },
+      { field: 'pan', value: 'pan', label: /\bpan\b\s*(?:no\b\.?|number\b)?\s*[:#.-]?\s*/i },
+      { field: 'npi', value: 'npi', label: /\bnpi\b\s*(?:no\b\.?|number\b|#)?\s*[:#.-]?\s*/i }
+    ];
+
+    // Confidence by how the value was found: after its label on the same
+    // line, on the line after a label, by its shape alone (a GSTIN), or as a
+    // provider-like line in the page header
+    this.confidence = {
+      label: 0.9,
+      adjacent: 0.8,
+      pattern: 0.7,
+      header: 0.6
+    };
+
+    // A checksum that fails costs this much confidence
+    this.invalidPenalty = 0.3;
+
+    // Lines at the top of the first page searched for the provider's name
+    this.headerLines = 6;
+  }
+
+  /**
+   * Read the bill's header fields (invoice number, dates, provider, patient,
+   * tax IDs) from the pages' text. Each field is the best candidate found,
+   * with its provenance and confidence, or null.
+   * `locale` 'en-US' reads ambiguous numeric dates month first.
+   */
+  extract(pages, { locale = 'auto' } = {}) {
+    const candidates = [];
+
+    for (const page of pages || []) {
+      if (!page.text) continue;
+      const segments = ocrService.splitSegments(page.text);
+
+      segments.forEach(({ segment, offset }, index) => {
+        for (const field of this.fields) {
+          const label = field.label.exec(segment);
+          if (!label) continue;
+
+          const rest = segment.slice(label.index + label[0].length);
+          if (rest.trim().length > 0) {
+            const found = this.readValue(field.value, rest, { locale });
+            if (found) {
+              const start = offset + label.index + label[0].length;
+              candidates.push(this.candidate(field, found, page, index, segment, start, 'label'));
+            }
+          } else if (segments[index + 1]) {
+            // The value is on the next line ("Invoice No." / "INV-2024-118")
+            const next = segments[index + 1];
+            const found = this.readValue(field.value, next.segment, { locale });
+            if (found) {
+              candidates.push(this.candidate(field, found, page, index + 1, next.segment, next.offset, 'adjacent'));
+            }
+          }
+        }
+
+        for (const [name, pattern] of [['gstin', GSTIN], ['pan', PAN]]) {
+          const match = pattern.exec(segment);
+          if (!match) continue;
+          const field = this.fields.find(f => f.field === name);
+          const found = this.readValue(field.value, match[0], { locale });
+          if (found) candidates.push(this.candidate(field, found, page, index, segment, offset + match.index, 'pattern'));
+        }
+      });
+
+      if (page === pages.find(p => p.text)) {
+        segments.slice(0, this.headerLines).forEach(({ segment, offset }, index) => {
+          if (!PROVIDER.test(segment) || TITLE.test(segment) || /\d{3,}|:/.test(segment)) return;
+          const field = this.fields.find(f => f.field === 'provider_name');
+          const found = { value: segment, text: segment, length: segment.length };
+          candidates.push(this.candidate(field, found, page, index, segment, offset, 'header'));
+        });
+      }
+    }
+
+    const fields = {};
+    for (const { field } of this.fields) {
+      const ofField = candidates.filter(c => c.field === field);
+      const best = ofField.reduce((a, b) => (b.candidate.confidence > a.candidate.confidence ? b : a), ofField[0]);
+      fields[field] = best ? best.candidate : null;
+    }
+
+    const found = Object.values(fields).filter(Boolean).length;
+    logger.info(`Document fields: ${found} of ${this.fields.length} found`);
+
+    return fields;
+  }
+
+  candidate(field, found, page, segmentIndex, segment, start, method) {
+    let confidence = this.confidence[method];
+    if (found.valid === false) confidence -= this.invalidPenalty;
+    if (page.source === 'ocr' && page.confidence !== null && page.confidence !== undefined) {
+      confidence *= page.confidence;
+    }
+
+    return {
+      field: field.field,
+      candidate: {
+        value: found.value,
+        text: found.text,
+        ...(found.valid !== undefined ? { valid: found.valid } : {}),
+        source: `text: '${segment}'`,
+        page: page.page,
+        segment_index: segmentIndex,
+        char_start: start,
+        char_end: start + found.length,
+        method,
+        confidence: Math.round(Math.max(0, confidence) * 100) / 100
+      }
+    };
+  }
+
+  /**
+   * Read a value of `kind` at the start of `text`
+   * Returns { value, text, length, valid? } or null
+   */
+  readValue(kind, text, { locale } = {}) {
+    const trimmed = text.trimStart();
+    const lead = text.length - trimmed.length;
+    const at = (match, value, extra = {}) => ({ value, text: match, length: lead + match.length, ...extra });
+
+    switch (kind) {
+      case 'date': {
+        const date = this.parseDate(trimmed, locale);
+        return date ? at(date.text, date.iso) : null;
+      }
+      case 'identifier': {
+        const match = IDENTIFIER.exec(trimmed);
+        if (!match || this.parseDate(match[0], locale)) return null;
+        return at(match[0], match[0].toUpperCase());
+      }
+      case 'name': {
+        const match = NAME.exec(trimmed);
+        const name = match ? match[0].replace(/[\s,.-]+$/, '') : '';
+        if ((name.match(/[a-z]/gi) || []).length < 2) return null;
+        return at(name, name.replace(/\s+/g, ' '));
+      }
+      case 'gstin': {
+        const match = new RegExp(`^${GSTIN.source}`, 'i').exec(trimmed);
+        if (!match) return null;
+        const value = match[0].toUpperCase();
+        return at(match[0], value, { valid: this.validGstin(value) });
+      }
+      case 'pan': {
+        const match = new RegExp(`^${PAN.source}`, 'i').exec(trimmed);
+        return match ? at(match[0], match[0].toUpperCase()) : null;
+      }
+      case 'npi': {
+        const match = /^\d{10}\b/.exec(trimmed);
+        return match ? at(match[0], match[0], { valid: this.validNpi(match[0]) }) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse a date at the start of `text` into ISO form. Numeric dates are
+   * read day first unless one part can only be a day, or `locale` is
+   * 'en-US'; two-digit years are in the 2000s.
+   * Returns { iso, text } or null
+   */
+  parseDate(text, locale = 'auto') {
+    for (const { order, pattern } of DATES) {
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      let day;
+      let month;
+      let year;
+      if (order === 'numeric') {
+        const [a, b] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+        const monthFirst = a <= 12 && (b > 12 || (locale === 'en-US' && a !== b));
+        [day, month] = monthFirst ? [b, a] : [a, b];
+        year = match[3];
+      } else if (order === 'ymd') {
+        [year, month, day] = [match[1], parseInt(match[2], 10), parseInt(match[3], 10)];
+      } else if (order === 'dmy') {
+        [day, month, year] = [parseInt(match[1], 10), MONTHS[match[2].toLowerCase()], match[3]];
+      } else {
+        [month, day, year] = [MONTHS[match[1].toLowerCase()], parseInt(match[2], 10), match[3]];
+      }
+
+      year = parseInt(year, 10) + (year.length === 2 ? 2000 : 0);
+      const date = new Date(Date.UTC(year, month - 1, day));
+      if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+      return { iso: date.toISOString().slice(0, 10), text: match[0] };
+    }
+
+    return null;
+  }
+
+  /**
+   * GSTIN check character: base-36 digits weighted 1, 2, 1, 2, ... with
+   * each product folded (quotient + remainder by 36)
+   */
+  validGstin(gstin) {
+    const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+      const product = chars.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+      sum += Math.floor(product / 36) + (product % 36);
+    }
+    return chars[(36 - (sum % 36)) % 36] === gstin[14];
+  }
+
+  /**
+   * NPI check digit: Luhn over the number prefixed with 80840
+   */
+  validNpi(npi) {
+    const digits = `80840${npi}`.split('').map(Number).reverse();
+    const sum = digits.reduce((acc, digit, i) => {
+      if (i % 2 === 0) return acc + digit;
+      const doubled = digit * 2;
+      return acc + (doubled > 9 ? doubled - 9 : doubled);
+    }, 0);
+    return sum % 10 === 0;
+  }
+}
+
+module.exports = new DocumentFieldsService();
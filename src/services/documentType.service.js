@@ -0,0 +1,89 @@
+const logger = require('../utils/logger');
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class DocumentTypeService {
+  constructor() {
+    // Score per signal: a pattern is more specific than a keyword
+    this.weights = {
+      signal: 1,
+      pattern: 2
+    };
+
+    // Below this score, or this far ahead of the runner-up, the document is
+    // `unknown`: one "Lab Tests" line doesn't make a bill a diagnostics invoice
+    this.minScore = 3;
+    this.minMargin = 2;
+
+    // Score at which the evidence alone no longer limits confidence
+    this.fullEvidence = 6;
+  }
+
+  /**
+   * Decide what kind of document the text is (pharmacy receipt, OPD bill,
+   * IPD final bill, diagnostics invoice, insurance settlement, ...) from
+   * the signals of `rulePack`'s document types. Confidence is the winner's
+   * share of all scores, scaled down while its own evidence is thin; too
+   * little evidence, or too close a second, leaves the type `unknown`.
+   * Returns { type, confidence, signals, scores }
+   */
+  detect(text, rulePack) {
+    const scores = {};
+    const evidence = {};
+
+    for (const documentType of rulePack.documentTypes) {
+      const signals = documentType.signals.filter(signal =>
+        new RegExp(`(?<![a-z0-9])${escape(signal)}(?![a-z0-9])`, 'i').test(text || '')
+      );
+      const patterns = documentType.patterns.filter(pattern => pattern.test(text || ''));
+
+      scores[documentType.type] = signals.length * this.weights.signal + patterns.length * this.weights.pattern;
+      evidence[documentType.type] = [...signals, ...patterns.map(pattern => pattern.source)];
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+    const margin = ranked.length > 1 ? ranked[0][1] - ranked[1][1] : Infinity;
+    if (ranked.length === 0 || ranked[0][1] < this.minScore || margin < this.minMargin) {
+      logger.info(`Document type: unknown (scores ${JSON.stringify(scores)})`);
+      return { type: 'unknown', confidence: 0, signals: [], scores };
+    }
+
+    const [type, score] = ranked[0];
+    const confidence = (score / total) * Math.min(1, score / this.fullEvidence);
+    logger.info(`Document type: ${type} (score ${score} of ${total})`);
+
+    return {
+      type,
+      confidence: Math.round(confidence * 100) / 100,
+      signals: evidence[type],
+      scores
+    };
+  }
+
+  /**
+   * Check the classified amounts against what a document of this type
+   * usually carries: an IPD bill has a total, a settlement letter an
+   * insurer's share, a pharmacy receipt no advance deposit
+   * Returns { expected, missing, unexpected, issues }
+   */
+  checkProfile(type, amounts, rulePack) {
+    const documentType = rulePack.documentTypes.find(d => d.type === type);
+    if (!documentType) return { expected: [], missing: [], unexpected: [], issues: [] };
+
+    const present = new Set(amounts.map(a => a.type));
+    const missing = documentType.expectedAmounts.filter(t => !present.has(t));
+    const unexpected = documentType.unexpectedAmounts.filter(t => present.has(t));
+
+    const issues = [
+      ...missing.map(t => `No ${t} found; a ${type} document usually has one`),
+      ...unexpected.map(t => `${t} found; unusual on a ${type} document`)
+    ];
+    for (const issue of issues) logger.warn(issue);
+
+    return { expected: documentType.expectedAmounts, missing, unexpected, issues };
+  }
+}
+
+module.exports = new DocumentTypeService();
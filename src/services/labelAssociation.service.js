@@ -0,0 +1,188 @@
+const logger = require('../utils/logger');
+const classifierService = require('./classifier.service');
+
+class LabelAssociationService {
+  constructor() {
+    // Confidence taken off the label's own classification, by how the value
+    // was linked: the looser the link, the larger the penalty
+    this.penalties = {
+      same_row: 0.05,
+      adjacent: 0.1,
+      block: 0.2
+    };
+
+    // Unclassified reasons meaning the value had no label on its own line
+    this.orphanReasons = ['no_label', 'no_snippet_match'];
+
+    // Labels are short; longer lines are prose that happens to say "payment"
+    this.maxLabelWords = 6;
+  }
+
+  /**
+   * Link values printed apart from their labels ("Net Payable" on one line,
+   * "12,300.00" on the next, or a block of labels followed by a block of
+   * values) using the classifier's `unclassified` entries. A value on the
+   * same row as a label (by bounding boxes) is linked first, the rest by
+   * line order. Labels are read with `rulePack`'s classification rules.
+   * Returns { amounts, unclassified, associations }.
+   */
+  associate(amounts, unclassified, { pages = [], locale = 'auto', hint = null, rulePack } = {}) {
+    const linked = [];
+    const associations = [];
+    const linkedOrphans = new Set();
+
+    for (const page of pages) {
+      if (!page.text) continue;
+
+      const segments = classifierService.findContextSnippets(page.text);
+      const labels = this.findLabels(segments, page.lines, { locale, hint }, rulePack);
+      const orphans = unclassified.filter(u =>
+        this.orphanReasons.includes(u.reason) && u.page === page.page && u.segment_index !== null
+      );
+      if (labels.length === 0 || orphans.length === 0) continue;
+
+      const link = (orphan, label, method) => {
+        const confidence = Math.round((label.classification.confidence - this.penalties[method]) * 100) / 100;
+        if (confidence <= 0.5) {
+          logger.debug(`Association of ${orphan.value} with "${label.text}" too weak: ${confidence}`);
+          return false;
+        }
+
+        label.used = true;
+        linkedOrphans.add(orphan);
+        const valueText = segments[orphan.segment_index] || String(orphan.value);
+
+        linked.push({
+          type: label.classification.type,
+          value: orphan.value,
+          source: `text: '${label.text}' → '${valueText}'`,
+          page: orphan.page,
+          segment_index: orphan.segment_index,
+          char_start: orphan.char_start,
+          char_end: orphan.char_end,
+          bbox: orphan.bbox,
+          ocr_confidence: orphan.ocr_confidence,
+          context_span: null
+        });
+        associations.push({
+          type: label.classification.type,
+          value: orphan.value,
+          label: label.text,
+          page: page.page,
+          label_segment_index: label.segment_index,
+          segment_index: orphan.segment_index,
+          method,
+          confidence
+        });
+
+        logger.info(`Associated ${orphan.value} with "${label.text}" (${method}): ${label.classification.type}`);
+        return true;
+      };
+
+      // Same row, when both have geometry
+      for (const orphan of orphans) {
+        const label = this.sameRowLabel(orphan, labels);
+        if (label) link(orphan, label, 'same_row');
+      }
+
+      // Line order: a value takes the oldest label still waiting. A line
+      // with its own label and amount ends the run, so labels don't carry
+      // over to unrelated values further down.
+      const classifiedSegments = new Set(
+        amounts.filter(a => a.page === page.page).map(a => a.segment_index)
+      );
+      let waiting = [];
+
+      segments.forEach((segment, index) => {
+        if (classifiedSegments.has(index)) waiting = [];
+
+        const label = labels.find(l => l.segment_index === index && !l.used);
+        if (label) waiting.push(label);
+
+        for (const orphan of orphans.filter(o => o.segment_index === index && !linkedOrphans.has(o))) {
+          waiting = waiting.filter(l => !l.used);
+
+          // Labels too weak to link at this distance are dropped
+          while (waiting.length > 0) {
+            const method = waiting.length === 1 && waiting[0].segment_index === index - 1 ? 'adjacent' : 'block';
+            if (link(orphan, waiting[0], method)) break;
+            waiting.shift();
+          }
+        }
+      });
+    }
+
+    if (associations.length > 0) {
+      logger.info(`Associated ${associations.length} value(s) with labels on other lines`);
+    }
+
+    return {
+      amounts: [...amounts, ...linked],
+      unclassified: unclassified.filter(u => !linkedOrphans.has(u)),
+      associations
+    };
+  }
+
+  /**
+   * Segments that name an amount type but carry no amount ("Net Payable"),
+   * with the box of the line they're on when the page has geometry.
+   * Identifier lines ("GSTIN: 27AABCU9603R1ZM") are not labels.
+   */
+  findLabels(segments, lines, format, rulePack) {
+    const labels = [];
+
+    segments.forEach((text, index) => {
+      if (text.split(/\s+/).length > this.maxLabelWords) return;
+      if (classifierService.extractAmountsFromSnippet(text, format).length > 0) return;
+      if (classifierService.isIdentifier(text, rulePack)) return;
+
+      const classification = classifierService.matchSnippetToType(text, rulePack);
+      if (!classification || classification.confidence <= 0.5) return;
+
+      const line = (lines || []).find(l => l.text.includes(text));
+      labels.push({
+        text,
+        segment_index: index,
+        classification,
+        bbox: line ? line.bbox : null,
+        used: false
+      });
+    });
+
+    return labels;
+  }
+
+  /**
+   * The unused label whose line overlaps the value vertically the most,
+   * starting to its left
+   */
+  sameRowLabel(orphan, labels) {
+    if (!orphan.bbox) return null;
+
+    let best = null;
+    let bestOverlap = 0.5;
+
+    for (const label of labels) {
+      if (label.used || !label.bbox || label.bbox.x0 >= orphan.bbox.x0) continue;
+
+      const overlap = this.verticalOverlap(label.bbox, orphan.bbox);
+      if (overlap >= bestOverlap) {
+        best = label;
+        bestOverlap = overlap;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Shared height of two boxes as a share of the shorter one
+   */
+  verticalOverlap(a, b) {
+    const shared = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+    const height = Math.min(a.y1 - a.y0, b.y1 - b.y0);
+    return height > 0 ? Math.max(0, shared) / height : 0;
+  }
+}
+
+module.exports = new LabelAssociationService();
@@ -0,0 +1,205 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const numberFormat = require('../utils/numberFormat');
+const currencies = require('../utils/currencies');
+const rulePackService = require('./rulePack.service');
+
+// A table cell holding a number, with OCR look-alikes and sign markers
+const NUMBER_CELL = /^[-−(]?[l1IO0-9][l1IO0-9.,'’]*\)?$/;
+
+// Words that may sit between numeric columns: units, "x", "@", currency
+const FILLER_CELL = new RegExp(`^(?:x|×|@|=|nos?\\.?|pcs\\.?|units?|${currencies.markerPattern})$`, 'i');
+const CURRENCY_CELL = new RegExp(`^(?:${currencies.markerPattern})$`, 'i');
+
+class LineItemService {
+  /**
+   * Extract itemised rows from every page ([{ page, text }])
+   * `locale`/`hint` are the number format used by the normalizer. Summary
+   * rows (total, tax, paid, ...) are classified by ClassifierService, not
+   * itemised; they are the rule pack's `summary_keywords`, or the default
+   * pack's when it has none
+   */
+  extractLineItems(pages, { locale = 'auto', hint = null, rulePack = rulePackService.get() } = {}) {
+    const items = [];
+    const summaryRow = rulePack.summaryRow || rulePackService.get().summaryRow;
+
+    for (const page of pages || []) {
+      if (!page.text) continue;
+
+      for (const line of page.text.split(/[\n\r]+/)) {
+        const item = this.parseRow(line, { locale, hint, summaryRow });
+        if (item) items.push({ ...item, page: page.page });
+      }
+    }
+
+    logger.info(`Extracted ${items.length} line item(s)`);
+    return items;
+  }
+
+  /**
+   * Parse a row like "Paracetamol 500mg  10  2.50  25.00" into a line item;
+   * null when the line isn't an itemised row
+   */
+  parseRow(line, { summaryRow = rulePackService.get().summaryRow, ...format } = {}) {
+    // OCR'd tables often keep column rules as "|"
+    const row = line.replace(/\|/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!row || (summaryRow && summaryRow.test(row))) return null;
+
+    const cells = row.split(' ');
+    const numbers = [];
+    let i = cells.length - 1;
+
+    // Walk the numeric columns from the right; fillers only count between numbers
+    while (i >= 0) {
+      if (this.isNumberCell(cells[i])) {
+        const value = this.parseCell(cells[i], format);
+        if (value === null) break;
+        numbers.unshift({ cell: cells[i], value });
+        i--;
+        continue;
+      }
+
+      let j = i;
+      while (j >= 0 && FILLER_CELL.test(cells[j])) j--;
+      if (numbers.length === 0 || j === i || j < 0 || !this.isNumberCell(cells[j])) break;
+      i = j;
+    }
+
+    // A leading serial number ("1." or "2)") isn't part of the description,
+    // nor are a currency or colon before the amount ("Consultation: Rs 500.00")
+    let end = i + 1;
+    while (end > 0 && FILLER_CELL.test(cells[end - 1])) end--;
+    const description = cells.slice(0, end).join(' ').replace(/^\d+[.)]?\s+/, '').replace(/\s*[:-]$/, '').trim();
+    if (numbers.length === 0 || !/[a-z]{2,}/i.test(description)) return null;
+
+    const amount = numbers[numbers.length - 1];
+
+    // Amount columns are printed with paise/cents, or with a currency when
+    // whole ("Consultation Fee: Rs 500"); this keeps dates and ID numbers
+    // ("Ward 12 03 2024") out of the items
+    const priced = CURRENCY_CELL.test(cells[cells.length - 2] || '');
+    if (!/[.,]\d{2}\)?$/.test(amount.cell) && !priced) return null;
+
+    let item;
+    if (numbers.length >= 3) {
+      item = this.fromQuantityAndRate(numbers[numbers.length - 3].value, numbers[numbers.length - 2].value, amount.value);
+    } else if (numbers.length === 2) {
+      item = this.fromSingleColumn(numbers[0], amount.value);
+    } else {
+      item = this.fromAmountOnly(amount.value);
+    }
+    if (!item) return null;
+
+    return {
+      description,
+      ...item,
+      source: `text: '${row.length > 80 ? row.substring(0, 80) + '...' : row}'`
+    };
+  }
+
+  isNumberCell(cell) {
+    return NUMBER_CELL.test(cell) && /\d/.test(cell);
+  }
+
+  parseCell(cell, format) {
+    const fixed = cell.replace(/[lI]/g, '1').replace(/O/g, '0');
+    const parsed = numberFormat.parseSigned(fixed, format);
+    return parsed ? Math.round(parsed.value * 100) / 100 : null;
+  }
+
+  /**
+   * Qty, rate and amount columns: check qty × rate = amount
+   */
+  fromQuantityAndRate(qty, unitPrice, amount) {
+    if (qty <= 0) return null;
+
+    const expected = Math.round(qty * unitPrice * 100) / 100;
+    const verified = this.withinTolerance(expected, amount);
+
+    if (!verified) {
+      logger.warn(`Line item mismatch: ${qty} × ${unitPrice} = ${expected}, printed ${amount}`);
+    }
+
+    return {
+      qty,
+      unit_price: unitPrice,
+      amount,
+      verified,
+      ...(verified ? {} : { expected_amount: expected })
+    };
+  }
+
+  /**
+   * Two columns: a whole number printed without decimals is a quantity,
+   * otherwise a unit price; the missing column is derived, so the row
+   * can't be verified
+   */
+  fromSingleColumn({ cell, value: first }, amount) {
+    if (first <= 0) return null;
+
+    if (Number.isInteger(first) && !/[.,]\d{2}\)?$/.test(cell)) {
+      return {
+        qty: first,
+        unit_price: Math.round((amount / first) * 100) / 100,
+        amount,
+        verified: null
+      };
+    }
+
+    const qty = amount / first;
+    return {
+      qty: Math.abs(qty - Math.round(qty)) < 0.01 ? Math.round(qty) : null,
+      unit_price: first,
+      amount,
+      verified: null
+    };
+  }
+
+  /**
+   * Only an amount ("Consultation 500.00"): one unit at that price
+   */
+  fromAmountOnly(amount) {
+    if (amount <= 0) return null;
+    return { qty: 1, unit_price: amount, amount, verified: null };
+  }
+
+  /**
+   * Compare the line item sum with the subtotal (or total when there is none;
+   * the total includes any round-off)
+   */
+  checkAgainstSummary(lineItems, amounts) {
+    if (!lineItems || lineItems.length === 0) return null;
+
+    const sum = Math.round(lineItems.reduce((acc, item) => acc + item.amount, 0) * 100) / 100;
+    const reference = amounts.find(a => a.type === 'subtotal') || amounts.find(a => a.type === 'total_bill');
+
+    if (!reference) {
+      return { sum, compared_to: null, expected: null, difference: null, round_off: null, status: 'no_reference' };
+    }
+
+    const roundOff = reference.type === 'total_bill'
+      ? Math.round(amounts.filter(a => a.type === 'round_off').reduce((acc, a) => acc + a.value, 0) * 100) / 100
+      : 0;
+    const difference = Math.round((reference.value - sum - roundOff) * 100) / 100;
+    const status = Math.abs(difference) <= config.reconciliationTolerance ? 'match' : 'mismatch';
+
+    if (status === 'mismatch') {
+      logger.warn(`Line items sum to ${sum}, ${reference.type} is ${reference.value}`);
+    }
+
+    return {
+      sum,
+      compared_to: reference.type,
+      expected: reference.value,
+      difference,
+      round_off: roundOff,
+      status
+    };
+  }
+
+  withinTolerance(actual, expected) {
+    return Math.abs(actual - expected) <= Math.max(0.05, Math.abs(expected) * config.lineItemTolerance);
+  }
+}
+
+module.exports = new LineItemService();
@@ -1,5 +1,7 @@
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const numberFormat = require('../utils/numberFormat');
+const currencies = require('../utils/currencies');
 
 class NormalizerService {
   constructor() {
@@ -16,23 +18,24 @@ class NormalizerService {
   }
 
   /**
-   * Fix common OCR digit errors with improved logic
+   * Fix common OCR digit errors, keeping separators for locale-aware parsing
    */
-  fixOcrDigits(token) {
+  cleanToken(token) {
     if (!token) return '';
     
     let fixed = token.trim();
     
-    // Remove currency symbols and whitespace
-    fixed = fixed.replace(/[Rs\.\$€£₹]/gi, '');
-    fixed = fixed.replace(/\s+/g, '');
+    // Remove currency markers and collapse whitespace
+    fixed = fixed.replace(new RegExp(currencies.markerPattern, 'gi'), '');
+    fixed = fixed.replace(/\s+/g, ' ').trim();
     
     // Apply digit corrections character by character
     // Only apply corrections if the character is adjacent to digits
     let result = '';
     for (let i = 0; i < fixed.length; i++) {
       const char = fixed[i];
-      const prevChar = i > 0 ? fixed[i - 1] : '';
+      // Look at the already-corrected previous character so runs like "2OO" fix fully
+      const prevChar = result.length > 0 ? result[result.length - 1] : '';
       const nextChar = i < fixed.length - 1 ? fixed[i + 1] : '';
       
       // Check if previous or next character is a digit
@@ -41,55 +44,58 @@ class NormalizerService {
       // Apply correction if it's a known OCR error and has adjacent digit
       if (this.digitCorrections[char] && hasAdjacentDigit) {
         result += this.digitCorrections[char];
-      } else if (/[0-9.,]/.test(char)) {
-        // Keep digits, dots, and commas
+      } else if (/[0-9.,'’]/.test(char)) {
+        // Keep digits and separators
+        result += char;
+      } else if (char === ' ' && /\d/.test(prevChar) && /[0-9]/.test(nextChar)) {
+        // Spaces between digits may be thousands separators ("1 234,56")
         result += char;
       }
       // Skip other characters
     }
     
-    fixed = result;
-    
-    // Remove commas (thousand separators)
-    fixed = fixed.replace(/,/g, '');
-    
-    // Ensure we only have valid numeric characters
-    fixed = fixed.replace(/[^0-9\.]/g, '');
-    
-    // Handle multiple decimal points (keep only first one)
-    const parts = fixed.split('.');
-    if (parts.length > 2) {
-      fixed = parts[0] + '.' + parts.slice(1).join('');
-    }
-    
-    return fixed;
+    // Separators only mean something between digits
+    return result.replace(/^[^0-9]+|[^0-9]+$/g, '');
+  }
+
+  /**
+   * Fix common OCR digit errors and return a plain numeric string ("1234.56", "-200")
+   */
+  fixOcrDigits(token, options = {}) {
+    const parsed = numberFormat.parse(this.cleanToken(token), options);
+    if (!parsed) return '';
+    return numberFormat.readSign(token).negative ? `-${parsed.normalized}` : parsed.normalized;
   }
 
   /**
    * Parse a token into a numeric value
+   * `locale` forces a number format ('auto' detects per token); `hint` is
+   * the document's detected format used for ambiguous tokens
    */
-  parseNumeric(token) {
+  parseNumeric(token, { locale = 'auto', hint = null } = {}) {
     try {
-      const fixed = this.fixOcrDigits(token);
-      
-      if (!fixed || fixed === '.') return null;
-
-      // Handle percentages (skip them in normalization)
+      // Percentages are rates, not amounts: parsed, but kept out of the amounts
       if (token.includes('%')) {
-        logger.debug(`Skipping percentage token: ${token}`);
-        return null;
+        const rate = numberFormat.parse(this.cleanToken(token.replace(/%.*$/, '')), { locale, hint });
+        if (!rate || !(rate.value > 0 && rate.value <= 100)) return null;
+        return { type: 'percent', value: rate.value, original: token, normalized: `${rate.normalized}%` };
       }
 
-      // Handle regular numbers
-      const value = parseFloat(fixed);
+      const parsed = numberFormat.parse(this.cleanToken(token), { locale, hint });
+      
+      if (!parsed) return null;
+
+      // Refunds and credits: "-200", "(500.00)", "1,200.00 CR"
+      const sign = numberFormat.readSign(token);
+      const value = sign.negative ? -parsed.value : parsed.value;
       
-      if (!Number.isFinite(value) || value < 0) {
+      if (!Number.isFinite(value)) {
         logger.debug(`Invalid numeric value from token "${token}": ${value}`);
         return null;
       }
 
       // Skip unrealistically small amounts (likely OCR noise)
-      if (value < 0.01) {
+      if (Math.abs(value) < 0.01) {
         logger.debug(`Skipping too small value: ${value} from token "${token}"`);
         return null;
       }
@@ -101,7 +107,8 @@ class NormalizerService {
         type: 'number',
         value: roundedValue,
         original: token,
-        normalized: fixed
+        normalized: sign.negative ? `-${parsed.normalized}` : parsed.normalized,
+        format: this.describeFormat(parsed, sign)
       };
     } catch (error) {
       logger.warn(`Failed to parse token "${token}":`, error.message);
@@ -109,62 +116,111 @@ class NormalizerService {
     }
   }
 
+  /**
+   * How a token's separators were interpreted, for normalization details
+   */
+  describeFormat(parsed, sign = { negative: false }) {
+    const format = {
+      locale: parsed.locale,
+      decimal_separator: parsed.decimal_separator,
+      group_separator: parsed.group_separator,
+      grouping: parsed.grouping,
+      ambiguous: parsed.ambiguous
+    };
+
+    if (parsed.ambiguous) format.alternatives = parsed.alternatives;
+    if (parsed.warnings) format.warnings = parsed.warnings;
+    if (sign.negative) format.sign = sign.marker;
+
+    return format;
+  }
+
+  /**
+   * Split a raw token into its text and provenance
+   * Tokens may be plain strings or objects from OCRService
+   * ({ token, page, segment_index, char_start, char_end, bbox, ocr_confidence })
+   */
+  unpackToken(rawToken) {
+    if (rawToken && typeof rawToken === 'object') {
+      return {
+        token: rawToken.token,
+        provenance: {
+          page: rawToken.page ?? null,
+          segment_index: rawToken.segment_index ?? null,
+          char_start: rawToken.char_start ?? null,
+          char_end: rawToken.char_end ?? null,
+          bbox: rawToken.bbox ?? null,
+          ocr_confidence: rawToken.ocr_confidence ?? null
+        }
+      };
+    }
+    return { token: rawToken, provenance: null };
+  }
+
   /**
    * Normalize an array of raw tokens
+   * `locale` is 'auto' (detect from the tokens) or one of numberFormat.locales.
+   * Every token is kept, so normalized_amounts lines up with the successful details
    */
-  normalizeTokens(rawTokens) {
+  normalizeTokens(rawTokens, { locale = 'auto' } = {}) {
     if (!Array.isArray(rawTokens) || rawTokens.length === 0) {
       return {
         normalized_amounts: [],
+        percentages: [],
         normalization_confidence: 0.0,
+        number_format: { requested: locale, detected: null },
         details: []
       };
     }
 
+    // Tokens that are unambiguous on their own decide how to read ones like "1,234"
+    // (percentages aside: "12,5 %" says nothing about how amounts are printed)
+    const hint = numberFormat.detectFormat(
+      rawTokens
+        .map(t => this.unpackToken(t).token)
+        .filter(t => typeof t === 'string' && !t.includes('%'))
+        .map(t => this.cleanToken(t))
+    );
+
     const normalizedAmounts = [];
+    const percentages = [];
     const details = [];
-    const seenValues = new Set();
     let successfulParsed = 0;
 
     logger.info(`Starting normalization of ${rawTokens.length} tokens`);
 
-    for (const token of rawTokens) {
+    for (const rawToken of rawTokens) {
+      const { token, provenance } = this.unpackToken(rawToken);
       logger.debug(`Normalizing token: "${token}"`);
       
-      const parsed = this.parseNumeric(token);
+      const parsed = this.parseNumeric(token, { locale, hint });
       
       if (parsed && parsed.type === 'number') {
-        // Check for duplicates
-        if (seenValues.has(parsed.value)) {
-          logger.debug(`Skipping duplicate value: ${parsed.value}`);
-          details.push({
-            original: parsed.original,
-            normalized: parsed.normalized,
-            value: parsed.value,
-            success: false,
-            reason: 'duplicate'
-          });
-          continue;
-        }
-        
-        seenValues.add(parsed.value);
+        // Repeated values are separate occurrences (two Rs 500 items, total = paid)
         normalizedAmounts.push(parsed.value);
         details.push({
           original: parsed.original,
           normalized: parsed.normalized,
           value: parsed.value,
-          success: true
+          format: parsed.format,
+          success: true,
+          ...provenance
         });
         successfulParsed++;
         
         logger.debug(`✓ Successfully normalized: "${token}" -> ${parsed.value}`);
       } else {
+        if (parsed && parsed.type === 'percent') {
+          percentages.push({ original: parsed.original, value: parsed.value, ...provenance });
+        }
+
         details.push({
           original: token,
-          normalized: this.fixOcrDigits(token),
+          normalized: parsed ? parsed.normalized : this.fixOcrDigits(token, { locale, hint }),
           value: null,
           success: false,
-          reason: parsed ? 'percentage' : 'invalid_format'
+          reason: token.includes('%') ? 'percentage' : 'invalid_format',
+          ...provenance
         });
         
         logger.debug(`✗ Failed to normalize: "${token}"`);
@@ -183,12 +239,20 @@ class NormalizerService {
 
     logger.info(
       `Normalized ${successfulParsed}/${rawTokens.length} tokens ` +
-      `(${normalizedAmounts.length} unique) with ${(confidence * 100).toFixed(1)}% confidence`
+      `(${new Set(normalizedAmounts).size} distinct values) with ${(confidence * 100).toFixed(1)}% confidence`
     );
 
     return {
       normalized_amounts: normalizedAmounts,
+      // Percent tokens ("10%") as rates; not counted as amounts
+      percentages,
       normalization_confidence: parseFloat(confidence.toFixed(2)),
+      number_format: {
+        requested: locale,
+        detected: hint.locale,
+        decimal_separator: hint.decimal_separator,
+        group_separator: hint.group_separator
+      },
       details: details
     };
   }
@@ -230,15 +294,12 @@ class NormalizerService {
       return { valid: false, issues };
     }
 
-    // Check for unrealistic values
+    // Check for unrealistic values (negatives are refunds/credits and allowed)
     for (const amount of amounts) {
-      if (amount < 0) {
-        issues.push(`Negative amount detected: ${amount}`);
-      }
-      if (amount > 10000000) { // 10 million threshold
+      if (Math.abs(amount) > 10000000) { // 10 million threshold
         issues.push(`Unrealistically large amount: ${amount}`);
       }
-      if (amount < 0.01) {
+      if (Math.abs(amount) < 0.01) {
         issues.push(`Amount too small: ${amount}`);
       }
     }
@@ -1,60 +1,74 @@
-const Tesseract = require('tesseract.js');
+const workerPool = require('./ocrWorkerPool.service');
+const pdfService = require('./pdf.service');
+const preprocessService = require('./preprocess.service');
+const numberFormat = require('../utils/numberFormat');
+const amountInWords = require('../utils/amountInWords');
+const fuzzyMatch = require('../utils/fuzzyMatch');
+const currencies = require('../utils/currencies');
+const rulePackService = require('./rulePack.service');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 
+// A percent sign right after a number
+const PERCENT_AFTER = /^\s*%/;
+
+// Letters then digits right after a number: the number opens an ID such as
+// a GSTIN ("27AABCU9603R1ZM"), not an amount
+const ID_AFTER = /^[a-z]+\d/i;
+
+// A rate as printed on a bill: "10%", "12.5 %", "(18%)"
+const PERCENT = /(?<![\d.,])(\d{1,3}(?:[.,]\d{1,3})?)\s*%/g;
+
+// Lines whose amounts are legitimately below 1: "Round Off: -0.40", "Paise 0.75"
+const SUB_UNIT_LINE = /\bround(?:ing|ed)?[\s-]*off\b|\brounding\b|\br\/off\b|\bpaise\b/i;
+
 class OCRService {
   constructor() {
-    this.currencyHints = [
-      { pattern: /\b(?:inr|rs\.?|rupees?)\b|₹/gi, code: 'INR' },
-      { pattern: /\b(?:usd|dollars?)\b|\$/g, code: 'USD' },
-      { pattern: /\b(?:eur|euros?)\b|€/gi, code: 'EUR' },
-      { pattern: /\b(?:gbp|pounds?)\b|£/gi, code: 'GBP' }
-    ];
-
-    // Keywords that indicate a line contains monetary values
-    this.monetaryKeywords = [
-      'subtotal', 'total', 'amount', 'paid', 'cash', 'change', 
-      'due', 'balance', 'discount', 'tax', 'gst', 'vat', 'cgst', 'sgst',
-      'price', 'cost', 'bill', 'payment', 'charge', 'fee', 'charges', 'pald'
-    ];
-
-    // Patterns to explicitly exclude
-    this.excludePatterns = [
-      /\b(?:invoice|bill)\s*#?\s*:?\s*\d{5,}\b/gi,  // Invoice #12345 (5+ digits)
-      /\b\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}\b/g, // Dates
-      /\b\d{1,2}:\d{2}(?::\d{2})?\s*(?:am|pm)?/gi,  // Times
-      /patient\s*(?:name|id)\s*:?\s*\d+/gi,          // Patient Name/ID
-      /doctor\s*(?:name|id)\s*:?\s*\d+/gi,           // Doctor Name/ID
-      /room\s*(?:no|number)\s*:?\s*\d+/gi,           // Room No/Number
-      /\b(?:phone|tel|mobile|contact)\s*:?\s*\d{10,}/gi // Phone numbers
-    ];
+    // A colon followed by anything that looks like a number
+    this.colonAmount = new RegExp(`:-?\\s*(?:${currencies.markerPattern})?\\s*[-−(]?\\s*[l1IO0-9,]+`, 'i');
+
+    // Timestamp until which OSD is skipped after its worker failed
+    this.osdUnavailableUntil = 0;
   }
 
   /**
    * Extract text from image buffer using Tesseract OCR
+   * `preprocessing.profile` picks the preprocessing profile; `preprocessing.compare`
+   * also OCRs the untouched image so both confidences can be reported
    */
-  async imageBufferToText(buffer) {
+  async imageBufferToText(buffer, { preprocessing = {} } = {}) {
     logger.info('Starting OCR processing');
     const startTime = Date.now();
     
     try {
-      const worker = await Tesseract.createWorker(config.ocrLanguage || 'eng', 1, {
-        logger: m => {
-          if (m.status === 'recognizing text') {
-            logger.debug(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-          }
-        }
-      });
+      const oriented = await this.correctOrientation(buffer);
+      const prepared = await preprocessService.preprocess(oriented.buffer, preprocessing.profile);
+      const result = await this.recognizeBuffer(prepared.buffer);
       
-      const { data: { text, confidence } } = await worker.recognize(buffer);
-      await worker.terminate();
+      const report = {
+        profile: prepared.profile,
+        steps: prepared.steps,
+        duration_ms: prepared.duration_ms
+      };
+
+      if (preprocessing.compare && prepared.steps.length > 0) {
+        const original = await this.recognizeBuffer(oriented.buffer);
+        report.comparison = {
+          original_confidence: parseFloat(original.confidence.toFixed(2)),
+          preprocessed_confidence: parseFloat(result.confidence.toFixed(2))
+        };
+      }
       
       const duration = Date.now() - startTime;
-      logger.info(`OCR completed in ${duration}ms with confidence: ${confidence}%`);
+      logger.info(`OCR completed in ${duration}ms with confidence: ${(result.confidence * 100).toFixed(1)}%`);
       
       return {
-        text: text.trim(),
-        confidence: confidence / 100
+        text: result.text,
+        confidence: result.confidence,
+        // Report boxes against the image the caller sent, not the preprocessed one
+        words: result.words.map(w => ({ ...w, bbox: oriented.mapBbox(prepared.mapBbox(w.bbox)) })),
+        preprocessing: report,
+        orientation: oriented.orientation
       };
     } catch (error) {
       logger.error('OCR processing failed:', error);
@@ -63,42 +77,168 @@ class OCRService {
   }
 
   /**
-   * Check if a line matches exclude patterns
+   * Detect page orientation with Tesseract OSD and rotate the image upright
    */
-  matchesExcludePattern(line) {
-    for (const pattern of this.excludePatterns) {
-      if (pattern.test(line)) {
-        return true;
+  async correctOrientation(buffer) {
+    const unchanged = orientation => ({ buffer, orientation, mapBbox: bbox => bbox });
+
+    if (!config.orientationDetection) {
+      return unchanged({ detected_degrees: null, rotation_applied: 0, method: 'disabled' });
+    }
+
+    // Don't wait on an OSD worker that recently failed to start
+    if (Date.now() < this.osdUnavailableUntil) {
+      return unchanged({ detected_degrees: null, rotation_applied: 0, method: 'unavailable' });
+    }
+
+    let detection;
+    try {
+      ({ data: detection } = await workerPool.detect(buffer));
+    } catch (error) {
+      logger.warn(`Orientation detection failed, OCR will run unrotated: ${error.message || error}`);
+      // Only a worker that can't start disables OSD for a while; an image
+      // OSD can't read says nothing about the next one
+      if (error.workerFailure) {
+        this.osdUnavailableUntil = Date.now() + config.orientationRetryInterval;
+        return unchanged({ detected_degrees: null, rotation_applied: 0, method: 'unavailable' });
       }
+      return unchanged({ detected_degrees: null, rotation_applied: 0, method: 'failed' });
     }
-    return false;
+
+    const orientation = {
+      detected_degrees: detection.orientation_degrees,
+      rotation_applied: 0,
+      confidence: detection.orientation_confidence !== null
+        ? parseFloat(detection.orientation_confidence.toFixed(2))
+        : null,
+      script: detection.script,
+      method: 'osd'
+    };
+
+    // OSD reports how far the page is turned clockwise; undo it with the
+    // complementary clockwise rotation
+    const rotation = (360 - (detection.orientation_degrees || 0)) % 360;
+
+    if (rotation === 0 || detection.orientation_confidence < config.orientationMinConfidence) {
+      return unchanged(orientation);
+    }
+
+    logger.info(`Rotating image ${rotation}° (OSD confidence ${orientation.confidence})`);
+    const rotated = await preprocessService.rotateRightAngle(buffer, rotation);
+    orientation.rotation_applied = rotation;
+
+    return { buffer: rotated.buffer, orientation, mapBbox: rotated.mapBbox };
+  }
+
+  /**
+   * Run Tesseract on a buffer through the worker pool
+   */
+  async recognizeBuffer(buffer) {
+    const { data: { text, confidence, blocks } } = await workerPool.recognize(buffer, {
+      language: config.ocrLanguage || 'eng',
+      output: { text: true, blocks: true }
+    });
+
+    return {
+      text: text.trim(),
+      confidence: confidence / 100,
+      words: this.flattenWords(blocks)
+    };
+  }
+
+  /**
+   * Flatten Tesseract's block tree into words with their line text and geometry
+   */
+  flattenWords(blocks) {
+    const words = [];
+
+    for (const block of blocks || []) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const line of paragraph.lines || []) {
+          const lineText = line.text.trim();
+          for (const word of line.words || []) {
+            words.push({
+              text: word.text,
+              line: lineText,
+              confidence: parseFloat((word.confidence / 100).toFixed(2)),
+              bbox: { ...word.bbox }
+            });
+          }
+        }
+      }
+    }
+
+    return words;
+  }
+
+  /**
+   * Find the word a token was read from, preferring the token's own line
+   */
+  locateToken(words, token, segment, usedWords) {
+    // Tokens can span words ("1 234,56", "500.00 CR"); match on the longest
+    // piece of the number itself, without sign markers
+    const needle = token
+      .replace(/^[-−(\s]+|[\s)]*(?:CR\.?)?$/gi, '')
+      .split(/\s+/)
+      .reduce((longest, piece) => (piece.length > longest.length ? piece : longest), '');
+    let fallback = -1;
+
+    for (let i = 0; i < words.length; i++) {
+      if (usedWords.has(i) || !needle || !words[i].text.includes(needle)) continue;
+
+      if (words[i].line.includes(segment) || segment.includes(words[i].line)) {
+        usedWords.add(i);
+        return words[i];
+      }
+      if (fallback === -1) fallback = i;
+    }
+
+    if (fallback === -1) return null;
+    usedWords.add(fallback);
+    return words[fallback];
+  }
+
+  /**
+   * Check if a line matches the rule pack's exclude patterns
+   */
+  matchesExcludePattern(line, rulePack = rulePackService.get()) {
+    return this.firedExcludePatterns(line, rulePack).length > 0;
+  }
+
+  /**
+   * The rule pack's exclude patterns that match a line
+   */
+  firedExcludePatterns(line, rulePack = rulePackService.get()) {
+    return rulePack.excludePatterns.filter(pattern => {
+      pattern.lastIndex = 0;
+      return pattern.test(line);
+    });
   }
 
   /**
    * Check if a line is likely to contain monetary information
+   * (keywords and exclusions come from the rule pack)
    */
-  isMonetaryLine(line) {
-    const lowerLine = line.toLowerCase();
-    
+  isMonetaryLine(line, rulePack = rulePackService.get()) {
     // Skip lines that match exclude patterns
-    if (this.matchesExcludePattern(line)) {
+    if (this.matchesExcludePattern(line, rulePack)) {
       return false;
     }
     
-    // Check for monetary keywords
-    for (const keyword of this.monetaryKeywords) {
-      if (lowerLine.includes(keyword)) {
+    // Check for monetary keywords, tolerating OCR damage ("Tota1")
+    for (const keyword of rulePack.monetaryKeywords) {
+      if (fuzzyMatch.findKeyword(line, keyword)) {
         return true;
       }
     }
 
-    // Check if line has currency symbol or Rs
-    if (/[\$€£₹]/.test(line) || /rs\.?\s/i.test(line)) {
+    // Check if line has a currency symbol or code ("Rs", "AED", "S$")
+    if (currencies.hasMarker(line)) {
       return true;
     }
 
     // Check for colon followed by anything that looks like a number
-    if (/:\s*(?:Rs\.?|INR|\$|€|£|₹)?\s*[l1IO0-9,]+/i.test(line)) {
+    if (this.colonAmount.test(line)) {
       return true;
     }
 
@@ -108,182 +248,494 @@ class OCRService {
   /**
    * Extract numeric tokens from text with comprehensive OCR error handling
    */
-  extractNumericTokensFromText(text) {
+  extractNumericTokensFromText(text, options = {}) {
+    return this.extractTokenMatches(text, options).map(m => m.token);
+  }
+
+  /**
+   * Split text into trimmed, non-empty segments (lines and "|" cells),
+   * keeping each segment's character offset in the text and whether it
+   * follows a "|" on its line
+   */
+  splitSegments(text) {
+    const segments = [];
+
+    for (const match of text.matchAll(/[^|\n\r]+/g)) {
+      const segment = match[0].trim();
+      if (segment.length === 0) continue;
+      segments.push({
+        segment,
+        offset: match.index + match[0].length - match[0].trimStart().length,
+        afterPipe: text[match.index - 1] === '|',
+        beforePipe: text[match.index + match[0].length] === '|'
+      });
+    }
+
+    return segments;
+  }
+
+  /**
+   * Whether a segment with no label or currency is still an amount worth
+   * keeping: a money-like number ("12,300.00") on a line of its own, or in
+   * the cell after a label ("Net Payable | 12,300.00"). Its label is found
+   * later by LabelAssociationService.
+   */
+  isBareAmount(segments, index, rulePack = rulePackService.get()) {
+    const { segment, afterPipe, beforePipe } = segments[index];
+    if (!new RegExp(`^${numberFormat.signedAmountPattern}$`).test(segment)) return false;
+    if (this.matchesExcludePattern(segment, rulePack)) return false;
+
+    // Paise/cents or digit grouping; keeps years, counts and codes out
+    const moneyLike = /[.,]\d{2}\)?(?:\s*CR\.?)?$/.test(segment) || /\d[,.'’ ]\d{3}/.test(segment);
+    if (!moneyLike) return false;
+
+    if (!afterPipe && !beforePipe) return true;
+    return afterPipe && index > 0 && this.isMonetaryLine(segments[index - 1].segment, rulePack);
+  }
+
+  /**
+   * Extract every numeric token occurrence along with the segment it was found in,
+   * the segment's index and the token's character offsets in the text.
+   * Repeated values are kept: two Rs 500 line items are two tokens.
+   * `locale` forces how separators are read when checking values (see utils/numberFormat);
+   * `rulePack` supplies the monetary keywords and exclusions
+   */
+  extractTokenMatches(text, { locale = 'auto', rulePack = rulePackService.get() } = {}) {
     const tokens = [];
-    const seenValues = new Set();
     
     // Split text by common delimiters while preserving context
-    const segments = text.split(/[|\n\r]+/).map(s => s.trim()).filter(s => s.length > 0);
+    const segments = this.splitSegments(text);
 
     logger.info(`Processing ${segments.length} text segments for token extraction`);
 
-    for (const segment of segments) {
+    for (const [segmentIndex, { segment, offset }] of segments.entries()) {
       logger.debug(`Processing segment: "${segment}"`);
       
-      // Skip non-monetary segments
-      if (!this.isMonetaryLine(segment)) {
+      // Skip non-monetary segments, except amounts whose label is elsewhere
+      const monetary = this.isMonetaryLine(segment, rulePack);
+      const bare = !monetary && this.isBareAmount(segments, segmentIndex, rulePack);
+      if (!monetary && !bare) {
         logger.debug(`Skipping non-monetary segment: ${segment}`);
         continue;
       }
 
       // Comprehensive extraction patterns that handle OCR errors
-      // Pattern matches: Rs l200, Rs. 1O00, Paid: 2OO, Total: l200, etc.
-      const pattern = /(?:Rs\.?|INR|USD|EUR|GBP|\$|€|£|₹|:)\s*([l1IO0-9,]+(?:\.[l1IO0-9]{1,2})?)/gi;
-      
-      const matches = [...segment.matchAll(pattern)];
+      // Pattern matches: Rs l200, Rs. 1O00, Paid: 2OO, Total: 1,23,456.00, Total: 1.234,56,
+      // Refund: -200, Less: (500.00), -Rs 200, Credit: 1,200.00 CR, etc.
+      // A sign may sit before the currency; ":-" is punctuation, not a minus
+      const currency = currencies.markerPattern;
+      const pattern = new RegExp(
+        `(?:(?<![:\\w])([-−]|\\(\\s*)(?=${currency}))?(?:${currency}|:-?)\\s*(${numberFormat.signedAmountPattern})`,
+        'gid'
+      );
+      // A bare number after a label ("Total 1200 Paid 1000"); the empty
+      // group keeps the value in group 2
+      const labelledPattern = new RegExp(`()${numberFormat.labelledAmountPattern}`, 'gid');
+      // A number with its currency after it ("1,200.00 USD", "500 AED")
+      const suffixPattern = new RegExp(
+        `()(?<![\\w.,'’−-])(?=[-−(]?\\s*[lIO]?\\d)(${numberFormat.signedAmountPattern})\\s*(?:${currency})`,
+        'gid'
+      );
+
+      const barePattern = new RegExp(`^()(${numberFormat.signedAmountPattern})$`, 'gd');
+
+      const matches = bare
+        ? [...segment.matchAll(barePattern)]
+        : this.uniqueMatches([
+          ...segment.matchAll(pattern),
+          ...segment.matchAll(labelledPattern),
+          ...segment.matchAll(suffixPattern)
+        ]);
       
       logger.debug(`Found ${matches.length} potential matches in segment`);
       
       for (const match of matches) {
-        let token = match[1];
-        if (!token) continue;
+        if (!match[2]) continue;
+        let token = (match[1] || '').trim() + match[2];
         
         token = token.trim();
         
         // Skip empty tokens
         if (!token || token.length === 0) continue;
         
-        // Create a normalized version for deduplication
+        // Create a normalized version for validation
         // Handle OCR errors: l->1, O->0, I->1
-        const normalizedValue = token
-          .replace(/[,\s]/g, '')
-          .replace(/[lLiI]/g, '1')
-          .replace(/O/g, '0');
+        const parsed = numberFormat.parseSigned(
+          token.replace(/[lLiI]/g, '1').replace(/[oO]/g, '0'),
+          { locale }
+        );
+        const normalizedValue = parsed ? parsed.normalized : '';
         
         // Skip if empty after normalization
         if (!normalizedValue || normalizedValue.length === 0) continue;
         
-        // Skip percentages
-        if (token.includes('%') || normalizedValue.includes('%')) {
+        // Skip percentages ("Discount: 10%"); extractPercentMatches reads them as rates
+        if (token.includes('%') || normalizedValue.includes('%') || PERCENT_AFTER.test(segment.slice(match.indices[2][1]))) {
           logger.debug(`Skipping percentage: "${token}"`);
           continue;
         }
+
+        if (ID_AFTER.test(segment.slice(match.indices[2][1]))) {
+          logger.debug(`Skipping the start of an ID: "${token}"`);
+          continue;
+        }
         
         // Validate that we have a reasonable number after normalization
-        const testValue = parseFloat(normalizedValue);
-        if (!Number.isFinite(testValue) || testValue <= 0) {
+        // Negative values are kept: refunds, credits and adjustments
+        const testValue = parsed.value;
+        if (!Number.isFinite(testValue) || testValue === 0) {
           logger.debug(`Invalid numeric value: "${token}" -> ${testValue}`);
           continue;
         }
         
-        // Skip unrealistically small values (less than 1)
-        if (testValue < 1) {
+        // Skip unrealistically small values (less than 1), except rounding adjustments
+        if (Math.abs(testValue) < 1 && !SUB_UNIT_LINE.test(segment)) {
           logger.debug(`Value too small: "${token}" -> ${testValue}`);
           continue;
         }
         
-        // Skip if we've already seen this normalized value
-        if (seenValues.has(normalizedValue)) {
-          logger.debug(`Skipping duplicate token: "${token}" (normalized: ${normalizedValue})`);
-          continue;
-        }
-        
-        seenValues.add(normalizedValue);
-        tokens.push(token);
+        // Offsets span the sign, when it sits before the currency, to the end of the amount
+        const [start] = match[1] ? match.indices[1] : match.indices[2];
+        const end = match.indices[2][1];
+
+        tokens.push({
+          token,
+          segment,
+          segment_index: segmentIndex,
+          char_start: offset + start,
+          char_end: offset + end
+        });
         
         logger.debug(`✓ Extracted token: "${token}" (normalized: ${normalizedValue}) from: "${segment}"`);
       }
     }
 
-    logger.info(`Extracted ${tokens.length} unique monetary tokens`);
+    logger.info(`Extracted ${tokens.length} monetary tokens`);
     
     return tokens;
   }
 
   /**
-   * Detect currency from text
+   * One match per amount (a currency both before and after it, "Total:
+   * 1,200 USD", matches twice), the first pattern's winning, in text order
+   */
+  uniqueMatches(matches) {
+    const byStart = new Map();
+    for (const match of matches) {
+      if (!byStart.has(match.indices[2][0])) byStart.set(match.indices[2][0], match);
+    }
+    return [...byStart.values()].sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Detect the document's currency from the currency markers in its text
+   * Returns { code, confidence, source, counts } (see utils/currencies)
    */
   detectCurrency(text) {
-    const lowerText = text.toLowerCase();
-    
-    // Check each currency pattern and count matches
-    const currencyMatches = [];
-    
-    for (const { pattern, code } of this.currencyHints) {
-      // Reset regex lastIndex
-      pattern.lastIndex = 0;
-      
-      const matches = [...lowerText.matchAll(pattern)];
-      if (matches.length > 0) {
-        currencyMatches.push({ code, count: matches.length });
-        logger.debug(`Found ${matches.length} matches for ${code}`);
-      }
+    const currency = currencies.detect(text);
+
+    if (currency.source === 'default') {
+      logger.info(`No currency detected, using the default: ${currency.code || 'none'}`);
+    } else {
+      logger.info(`Detected currency: ${currency.code} (${JSON.stringify(currency.counts)})`);
     }
-    
-    // Return currency with most matches
-    if (currencyMatches.length > 0) {
-      currencyMatches.sort((a, b) => b.count - a.count);
-      logger.info(`Detected currency: ${currencyMatches[0].code}`);
-      return currencyMatches[0].code;
+
+    return currency;
+  }
+
+  /**
+   * Decode a base64 data URI into a buffer
+   */
+  decodeBase64(dataUri) {
+    const base64Data = dataUri.replace(/^data:[a-z]+\/[a-z.+-]+;base64,/i, '').replace(/\s+/g, '');
+
+    // Buffer.from skips characters outside the alphabet rather than throwing
+    const buffer = /^[A-Za-z0-9+/]*={0,2}$/.test(base64Data) && base64Data.length % 4 !== 1
+      ? Buffer.from(base64Data, 'base64')
+      : null;
+    if (!buffer || buffer.length === 0) {
+      logger.error('Failed to decode base64 image: not base64 or empty');
+      throw new Error('Invalid base64 image format');
     }
-    
-    logger.info('No currency detected, defaulting to USD');
-    return 'USD';
+    return buffer;
   }
 
   /**
-   * Main extraction method - handles both text and image inputs
+   * Turn a document buffer (image or PDF) into text pages, OCR-ing where needed
    */
-  async extractFromTextOrImage({ text, image_base64, fileBuffer }) {
-    let extractedText = text || '';
-    let ocrConfidence = 0.0;
+  async bufferToPages(buffer, firstPage = 1, options = {}) {
+    if (!pdfService.isPdf(buffer)) {
+      const ocrResult = await this.imageBufferToText(buffer, options);
+      return [{
+        page: firstPage,
+        source: 'ocr',
+        text: ocrResult.text,
+        confidence: ocrResult.confidence,
+        words: ocrResult.words,
+        bboxUnits: 'px',
+        preprocessing: ocrResult.preprocessing,
+        orientation: ocrResult.orientation
+      }];
+    }
 
-    // Process image if provided
-    if (fileBuffer || image_base64) {
-      let buffer = fileBuffer;
-      
-      // Convert base64 to buffer if needed
-      if (image_base64 && !buffer) {
-        try {
-          const base64Data = image_base64.replace(/^data:image\/[a-z]+;base64,/, '');
-          buffer = Buffer.from(base64Data, 'base64');
-        } catch (error) {
-          logger.error('Failed to decode base64 image:', error);
-          throw new Error('Invalid base64 image format');
-        }
+    const pdfPages = await pdfService.extractPages(buffer);
+    const pages = [];
+
+    for (const pdfPage of pdfPages) {
+      const page = firstPage + pdfPage.page - 1;
+
+      if (pdfPage.source === 'text_layer') {
+        pages.push({
+          page,
+          source: 'text_layer',
+          text: pdfPage.text,
+          confidence: null,
+          words: pdfPage.words,
+          bboxUnits: 'pt'
+        });
+      } else {
+        const ocrResult = await this.imageBufferToText(pdfPage.image, options);
+        pages.push({
+          page,
+          source: 'ocr',
+          text: ocrResult.text,
+          confidence: ocrResult.confidence,
+          // Map boxes from the rendered image back to PDF points
+          words: ocrResult.words.map(w => ({ ...w, bbox: scaleBbox(w.bbox, 1 / pdfPage.scale) })),
+          bboxUnits: 'pt',
+          preprocessing: ocrResult.preprocessing,
+          orientation: ocrResult.orientation
+        });
       }
+    }
+
+    return pages;
+  }
+
+  /**
+   * Extract every percentage ("Discount: 10%", "GST @ 18%") with the label
+   * it belongs to: the text before it back to the previous number, or when
+   * that is empty ("10% discount") the text after it up to the next one.
+   * Returns [{ token, value, label, segment_index, char_start, char_end }]
+   */
+  extractPercentMatches(text, { rulePack = rulePackService.get() } = {}) {
+    const percentages = [];
 
-      if (buffer) {
-        const ocrResult = await this.imageBufferToText(buffer);
-        extractedText = extractedText 
-          ? `${extractedText}\n${ocrResult.text}` 
-          : ocrResult.text;
-        ocrConfidence = ocrResult.confidence;
+    for (const [segmentIndex, { segment, offset }] of this.splitSegments(text).entries()) {
+      if (this.matchesExcludePattern(segment, rulePack)) continue;
+
+      for (const match of segment.matchAll(PERCENT)) {
+        const value = parseFloat(match[1].replace(',', '.'));
+        if (!(value > 0 && value <= 100)) continue;
+
+        const end = match.index + match[0].length;
+        const before = segment.slice(0, match.index).replace(/^.*\d/, '');
+        const after = segment.slice(end).replace(/\d.*$/, '');
+        const label = (/[a-z]/i.test(before) ? before : after).replace(/[@(:=\s-]+$|^[\s):-]+/g, '').trim();
+
+        percentages.push({
+          token: match[0],
+          value,
+          label,
+          segment_index: segmentIndex,
+          char_start: offset + match.index,
+          char_end: offset + end
+        });
       }
     }
 
+    logger.info(`Extracted ${percentages.length} percentage(s)`);
+    return percentages;
+  }
+
+  /**
+   * Extract percentages page by page (see extractPercentMatches)
+   */
+  extractPercentagesFromPages(pages, { rulePack } = {}) {
+    return pages.flatMap(page => this.extractPercentMatches(page.text || '', { rulePack }).map(p => ({
+      kind: 'percent',
+      ...p,
+      page: page.page
+    })));
+  }
+
+  /**
+   * Extract tokens page by page, tagging each with its page number, segment
+   * index and character offsets within the page text and, where the page has
+   * word geometry, its bounding box and OCR confidence. Each token's
+   * currency is read next to it, or is `currency` (the document's)
+   */
+  extractTokensFromPages(pages, { locale, rulePack, currency = currencies.detect(pages.map(p => p.text).join('\n')) } = {}) {
+    const tokens = [];
+
+    for (const page of pages) {
+      const usedWords = new Set();
+      const matches = this.extractTokenMatches(page.text, { locale, rulePack });
+
+      for (const { token, segment, segment_index, char_start, char_end } of matches) {
+        const word = page.words ? this.locateToken(page.words, token, segment, usedWords) : null;
+        const tokenCurrency = currencies.forSpan(page.text, char_start, char_end, currency);
+        tokens.push({
+          token,
+          page: page.page,
+          segment_index,
+          char_start,
+          char_end,
+          bbox: word ? word.bbox : null,
+          ocr_confidence: word ? word.confidence : null,
+          currency: tokenCurrency.code,
+          currency_evidence: tokenCurrency.evidence
+        });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Collect every image/PDF input as buffers, uploads first, in request order
+   */
+  collectDocumentBuffers({ image_base64, fileBuffer, fileBuffers }) {
+    const buffers = [...(fileBuffers || [])];
+    if (fileBuffer) buffers.push(fileBuffer);
+
+    const base64List = Array.isArray(image_base64) ? image_base64 : [image_base64];
+    for (const dataUri of base64List) {
+      if (dataUri) buffers.push(this.decodeBase64(dataUri));
+    }
+
+    return buffers;
+  }
+
+  /**
+   * Main extraction method - handles text, image and PDF inputs
+   * Several images/PDFs (`fileBuffers`, or an array of `image_base64`) are
+   * treated as one document whose pages follow each other in request order.
+   * `rulePack` defaults to the default rule pack (see RulePackService)
+   */
+  async extractFromTextOrImage({ text, image_base64, fileBuffer, fileBuffers, preprocessing, locale, rulePack = rulePackService.get() }) {
+    const pages = [];
+
+    if (text) {
+      pages.push({ page: 1, source: 'text', text, confidence: null, document: null });
+    }
+
+    // OCR all images/PDFs concurrently (the worker pool bounds parallelism),
+    // then number their pages in input order
+    const buffers = this.collectDocumentBuffers({ image_base64, fileBuffer, fileBuffers });
+    const documents = await Promise.all(
+      buffers.map(buffer => this.bufferToPages(buffer, 1, { preprocessing }))
+    );
+
+    documents.forEach((documentPages, index) => {
+      for (const page of documentPages) {
+        pages.push({ ...page, page: pages.length + 1, document: index + 1 });
+      }
+    });
+
+    // Pages are separated by a form feed on its own line, which the line
+    // splitters drop as whitespace
+    const extractedText = pages
+      .map(p => p.text)
+      .filter(t => t && t.trim().length > 0)
+      .join('\n\f\n');
+
     // Validate extracted text
     if (!extractedText || extractedText.trim().length === 0) {
       logger.warn('No text extracted from input');
       return {
         raw_tokens: [],
+        tokens: [],
+        percentages: [],
         currency_hint: null,
+        currency_confidence: 0,
+        currency_evidence: null,
         confidence: 0,
-        extracted_text: ''
+        extracted_text: '',
+        amount_in_words: null,
+        pages: pages.map(p => this.describePage(p))
       };
     }
 
-    // Extract tokens with improved filtering
-    const rawTokens = this.extractNumericTokensFromText(extractedText);
-    const currencyHint = this.detectCurrency(extractedText);
+    // Extract tokens with improved filtering; each token carries its own
+    // currency, falling back to the document's
+    const currency = this.detectCurrency(extractedText);
+    const tokens = this.extractTokensFromPages(pages, { locale, rulePack, currency });
+    const rawTokens = tokens.map(t => t.token);
+    const percentages = this.extractPercentagesFromPages(pages, { rulePack });
+
+    // OCR confidence is the mean over pages that actually went through OCR
+    const ocrPages = pages.filter(p => p.source === 'ocr');
+    const ocrConfidence = ocrPages.length > 0
+      ? ocrPages.reduce((sum, p) => sum + p.confidence, 0) / ocrPages.length
+      : 0.0;
 
     // Calculate confidence
-    const confidence = this.calculateConfidence(ocrConfidence, rawTokens.length, extractedText);
+    const confidence = this.calculateConfidence(ocrConfidence, rawTokens.length, extractedText, rulePack);
 
-    logger.info(`Extracted ${rawTokens.length} tokens with ${(confidence * 100).toFixed(1)}% confidence`);
+    logger.info(`Extracted ${rawTokens.length} tokens from ${pages.length} page(s) with ${(confidence * 100).toFixed(1)}% confidence`);
 
     return {
       raw_tokens: rawTokens,
-      currency_hint: currencyHint,
+      tokens: tokens,
+      // Rates ("Discount: 10%"), kept apart from the monetary tokens
+      percentages,
+      currency_hint: currency.code,
+      currency_confidence: currency.confidence,
+      // Markers counted per currency; source is 'default' when there were none
+      currency_evidence: { source: currency.source, counts: currency.counts },
       confidence: parseFloat(confidence.toFixed(2)),
-      extracted_text: extractedText
+      extracted_text: extractedText,
+      // "Rupees Twelve Thousand Three Hundred Only" - used to check the total
+      amount_in_words: amountInWords.findInPages(pages),
+      pages: pages.map(p => this.describePage(p))
+    };
+  }
+
+  /**
+   * Public description of a page: where its text came from and how reliable it is
+   */
+  describePage(page) {
+    return {
+      page: page.page,
+      document: page.document ?? null,
+      source: page.source,
+      confidence: page.confidence !== null ? parseFloat(page.confidence.toFixed(2)) : null,
+      bbox_units: page.bboxUnits || null,
+      preprocessing: page.preprocessing || null,
+      orientation: page.orientation || null,
+      text: page.text,
+      lines: page.words ? this.lineBoxes(page.words) : null
     };
   }
 
+  /**
+   * Group words into their lines, each with the box around its words
+   */
+  lineBoxes(words) {
+    const lines = [];
+
+    for (const word of words) {
+      const last = lines[lines.length - 1];
+      if (last && last.text === word.line) {
+        last.bbox = {
+          x0: Math.min(last.bbox.x0, word.bbox.x0),
+          y0: Math.min(last.bbox.y0, word.bbox.y0),
+          x1: Math.max(last.bbox.x1, word.bbox.x1),
+          y1: Math.max(last.bbox.y1, word.bbox.y1)
+        };
+      } else {
+        lines.push({ text: word.line, bbox: { ...word.bbox } });
+      }
+    }
+
+    return lines;
+  }
+
   /**
    * Calculate overall confidence score
    */
-  calculateConfidence(ocrConfidence, tokenCount, text = '') {
+  calculateConfidence(ocrConfidence, tokenCount, text = '', rulePack = rulePackService.get()) {
     if (tokenCount === 0) return 0;
     
     // Base confidence
@@ -302,7 +754,7 @@ class OCRService {
     }
 
     // Boost confidence if we see clear monetary keywords
-    const monetaryKeywordCount = this.monetaryKeywords.filter(
+    const monetaryKeywordCount = rulePack.monetaryKeywords.filter(
       kw => text.toLowerCase().includes(kw)
     ).length;
     
@@ -318,4 +770,13 @@ class OCRService {
   }
 }
 
+function scaleBbox(bbox, factor) {
+  return {
+    x0: Math.round(bbox.x0 * factor * 100) / 100,
+    y0: Math.round(bbox.y0 * factor * 100) / 100,
+    x1: Math.round(bbox.x1 * factor * 100) / 100,
+    y1: Math.round(bbox.y1 * factor * 100) / 100
+  };
+}
+
 module.exports = new OCRService();
\ No newline at end of file
@@ -0,0 +1,312 @@
+const Tesseract = require('tesseract.js');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class OCRWorkerPool {
+  constructor() {
+    // One pool per language string (e.g. 'eng', 'eng+hin')
+    this.pools = new Map();
+    this.nextWorkerId = 1;
+    this.draining = false;
+    this.healthCheckTimer = null;
+  }
+
+  /**
+   * Pre-initialise workers for the configured languages
+   */
+  async warm(languages = config.ocrPoolLanguages) {
+    logger.info(`Warming OCR worker pool for: ${languages.join(', ')}`);
+    const startTime = Date.now();
+
+    await Promise.all(languages.map(async (language) => {
+      const pool = this.getPool(language);
+      while (pool.workers.length + pool.pending < config.ocrPoolSize) {
+        await this.spawnWorker(language);
+      }
+    }));
+
+    logger.info(`OCR worker pool warmed in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Get (or lazily create) the pool for a language; the first pool starts
+   * the health check, whether it was warmed or created by a request
+   */
+  getPool(language) {
+    if (!this.pools.has(language)) {
+      this.pools.set(language, { workers: [], queue: [], pending: 0 });
+      if (!this.draining) this.startHealthCheck();
+    }
+    return this.pools.get(language);
+  }
+
+  /**
+   * Create a Tesseract worker and add it to the language pool
+   */
+  async spawnWorker(language) {
+    const pool = this.getPool(language);
+    const id = this.nextWorkerId++;
+    pool.pending++;
+
+    try {
+      let worker;
+      try {
+        worker = await this.createTesseractWorker(language, id);
+      } catch (error) {
+        // Callers tell a worker that can't start from a job that failed
+        error.workerFailure = true;
+        throw error;
+      }
+      const entry = { id, worker, language, busy: false, healthy: true, jobs: 0 };
+      pool.workers.push(entry);
+      logger.debug(`OCR worker #${id} ready (${language})`);
+      return entry;
+    } finally {
+      pool.pending--;
+    }
+  }
+
+  /**
+   * Initialise a Tesseract worker, bounded by the init timeout
+   */
+  createTesseractWorker(language, id) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`OCR worker #${id} initialisation timed out`)),
+        config.ocrPoolInitTimeout
+      );
+    });
+
+    // Orientation/script detection only exists in the legacy engine
+    const isOsd = language === 'osd';
+    const oem = isOsd ? Tesseract.OEM.TESSERACT_ONLY : Tesseract.OEM.LSTM_ONLY;
+
+    const creation = Tesseract.createWorker(language, oem, {
+      ...(isOsd ? { legacyCore: true, legacyLang: true } : {}),
+      logger: m => {
+        if (m.status === 'recognizing text') {
+          logger.debug(`OCR worker #${id} progress: ${Math.round(m.progress * 100)}%`);
+        }
+      },
+      // Without a handler Tesseract rethrows worker errors as uncaught exceptions
+      errorHandler: err => logger.error(`OCR worker #${id} error:`, err)
+    });
+
+    return Promise.race([creation, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Acquire an idle worker, spawning or queueing as needed
+   */
+  async acquire(language) {
+    if (this.draining) {
+      throw new Error('OCR worker pool is shutting down');
+    }
+
+    const pool = this.getPool(language);
+
+    const idle = pool.workers.find(w => !w.busy && w.healthy);
+    if (idle) {
+      idle.busy = true;
+      return idle;
+    }
+
+    if (pool.workers.length + pool.pending < config.ocrPoolSize) {
+      const entry = await this.spawnWorker(language);
+      entry.busy = true;
+      return entry;
+    }
+
+    if (pool.queue.length >= config.ocrPoolMaxQueue) {
+      throw new Error(`OCR queue full (${pool.queue.length} jobs waiting)`);
+    }
+
+    logger.debug(`All ${language} OCR workers busy, queueing job (${pool.queue.length + 1} waiting)`);
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        pool.queue.splice(pool.queue.indexOf(waiter), 1);
+        reject(new Error(`Timed out waiting for an OCR worker after ${config.ocrPoolQueueTimeout}ms`));
+      }, config.ocrPoolQueueTimeout);
+      pool.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Return a worker to the pool, recycling it if worn out or unhealthy
+   */
+  async release(entry) {
+    const pool = this.getPool(entry.language);
+    entry.jobs++;
+
+    if (!entry.healthy || entry.jobs >= config.ocrPoolMaxJobsPerWorker) {
+      logger.debug(
+        `Recycling OCR worker #${entry.id} (${entry.healthy ? `${entry.jobs} jobs` : 'unhealthy'})`
+      );
+      await this.retire(entry);
+
+      if (!this.draining) {
+        try {
+          const replacement = await this.spawnWorker(entry.language);
+          this.handOff(pool, replacement);
+        } catch (error) {
+          logger.error('Failed to replace recycled OCR worker:', error.message);
+          this.failQueue(pool, error);
+        }
+      }
+      return;
+    }
+
+    entry.busy = false;
+    this.handOff(pool, entry);
+  }
+
+  /**
+   * Give an idle worker to the next queued job, if any
+   */
+  handOff(pool, entry) {
+    const waiter = pool.queue.shift();
+    if (!waiter) return;
+
+    clearTimeout(waiter.timer);
+    entry.busy = true;
+    waiter.resolve(entry);
+  }
+
+  /**
+   * Reject every job waiting on a pool
+   */
+  failQueue(pool, error) {
+    while (pool.queue.length > 0) {
+      const waiter = pool.queue.shift();
+      clearTimeout(waiter.timer);
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * Remove a worker from its pool and terminate it
+   */
+  async retire(entry) {
+    const pool = this.getPool(entry.language);
+    pool.workers = pool.workers.filter(w => w !== entry);
+
+    try {
+      await entry.worker.terminate();
+    } catch (error) {
+      logger.warn(`Failed to terminate OCR worker #${entry.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Run a job on a pooled worker, marking the worker unhealthy if it fails.
+   * With `inputErrors` a failing job is blamed on its input (an image OSD
+   * can't read) and the worker stays in service.
+   */
+  async run(language, job, { inputErrors = false } = {}) {
+    const entry = await this.acquire(language);
+
+    try {
+      return await job(entry.worker);
+    } catch (error) {
+      if (!inputErrors) entry.healthy = false;
+      throw error;
+    } finally {
+      await this.release(entry);
+    }
+  }
+
+  /**
+   * Run recognition on a pooled worker
+   */
+  recognize(buffer, { language = config.ocrLanguage || 'eng', output } = {}) {
+    return this.run(language, worker => worker.recognize(buffer, {}, output));
+  }
+
+  /**
+   * Run orientation and script detection on a pooled OSD worker
+   */
+  detect(buffer) {
+    return this.run('osd', worker => worker.detect(buffer), { inputErrors: true });
+  }
+
+  /**
+   * Periodically replace unhealthy idle workers and top pools back up
+   */
+  startHealthCheck() {
+    if (this.healthCheckTimer || config.ocrPoolHealthCheckInterval <= 0) return;
+
+    this.healthCheckTimer = setInterval(() => {
+      this.checkHealth().catch(error => {
+        logger.error('OCR worker pool health check failed:', error.message);
+      });
+    }, config.ocrPoolHealthCheckInterval);
+
+    // Don't keep the process alive just for health checks
+    this.healthCheckTimer.unref();
+  }
+
+  async checkHealth() {
+    for (const [language, pool] of this.pools) {
+      for (const entry of pool.workers.filter(w => !w.busy && !w.healthy)) {
+        await this.retire(entry);
+      }
+
+      while (!this.draining && pool.workers.length + pool.pending < config.ocrPoolSize) {
+        const entry = await this.spawnWorker(language);
+        this.handOff(pool, entry);
+      }
+    }
+  }
+
+  /**
+   * Pool statistics for health reporting
+   */
+  getStats() {
+    const stats = {};
+    for (const [language, pool] of this.pools) {
+      stats[language] = {
+        workers: pool.workers.length,
+        busy: pool.workers.filter(w => w.busy).length,
+        queued: pool.queue.length
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Stop accepting jobs, wait for running ones and terminate all workers
+   */
+  async drain() {
+    this.draining = true;
+    clearInterval(this.healthCheckTimer);
+    this.healthCheckTimer = null;
+
+    const error = new Error('OCR worker pool is shutting down');
+    for (const pool of this.pools.values()) {
+      this.failQueue(pool, error);
+    }
+
+    const deadline = Date.now() + config.ocrPoolDrainTimeout;
+    while (this.hasBusyWorkers() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    for (const pool of this.pools.values()) {
+      await Promise.all(pool.workers.map(entry => this.retire(entry)));
+    }
+
+    logger.info('OCR worker pool drained');
+  }
+
+  hasBusyWorkers() {
+    for (const pool of this.pools.values()) {
+      if (pool.workers.some(w => w.busy)) return true;
+    }
+    return false;
+  }
+}
+
+module.exports = new OCRWorkerPool();
\ No newline at end of file
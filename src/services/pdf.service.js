@@ -0,0 +1,164 @@
+const { createCanvas } = require('@napi-rs/canvas');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class PDFService {
+  constructor() {
+    // pdfjs-dist is ESM-only, loaded lazily on first use
+    this.pdfjs = null;
+  }
+
+  async loadPdfjs() {
+    if (!this.pdfjs) {
+      this.pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return this.pdfjs;
+  }
+
+  /**
+   * Check whether a buffer holds a PDF document
+   */
+  isPdf(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+  }
+
+  /**
+   * Split a PDF into pages, using the text layer where present and
+   * rendering pages without one to PNG for OCR
+   */
+  async extractPages(buffer) {
+    logger.info('Starting PDF processing');
+    const startTime = Date.now();
+    const pdfjs = await this.loadPdfjs();
+
+    let doc;
+    try {
+      doc = await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        useSystemFonts: true,
+        verbosity: 0
+      }).promise;
+    } catch (error) {
+      logger.error('Failed to open PDF:', error.message);
+      throw new Error(`Invalid PDF document: ${error.message}`);
+    }
+
+    try {
+      if (doc.numPages > config.maxPdfPages) {
+        throw new Error(`Invalid PDF document: too many pages (${doc.numPages}, max ${config.maxPdfPages})`);
+      }
+
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const content = await page.getTextContent();
+        const { height } = page.getViewport({ scale: 1 });
+        const { text, words } = this.textItemsToLines(content.items, height);
+
+        if (text.replace(/\s/g, '').length >= config.pdfMinTextChars) {
+          logger.debug(`PDF page ${pageNumber}: using text layer (${text.length} chars)`);
+          pages.push({ page: pageNumber, source: 'text_layer', text, words });
+        } else {
+          logger.debug(`PDF page ${pageNumber}: no usable text layer, rasterising for OCR`);
+          pages.push({
+            page: pageNumber,
+            source: 'ocr',
+            image: await this.renderPage(page),
+            scale: config.pdfRenderScale
+          });
+        }
+
+        page.cleanup();
+      }
+
+      logger.info(`PDF processed in ${Date.now() - startTime}ms (${pages.length} pages)`);
+      return pages;
+    } finally {
+      await doc.destroy();
+    }
+  }
+
+  /**
+   * Rebuild text lines from positioned text items (top to bottom, left to right)
+   * along with word boxes in PDF points, origin top-left
+   */
+  textItemsToLines(items, pageHeight) {
+    const lines = new Map();
+
+    for (const item of items) {
+      if (!item.str || item.str.trim().length === 0) continue;
+
+      // Items whose baselines are within 2pt belong to the same line
+      const y = Math.round(item.transform[5] / 2) * 2;
+      if (!lines.has(y)) lines.set(y, []);
+      lines.get(y).push(item);
+    }
+
+    const textLines = [];
+    const words = [];
+
+    const sortedLines = [...lines.entries()].sort((a, b) => b[0] - a[0]);
+    for (const [, lineItems] of sortedLines) {
+      lineItems.sort((a, b) => a.transform[4] - b.transform[4]);
+      const lineText = lineItems.map(item => item.str.trim()).join(' ');
+      textLines.push(lineText);
+
+      for (const item of lineItems) {
+        words.push(...this.splitItemIntoWords(item, pageHeight, lineText));
+      }
+    }
+
+    return { text: textLines.join('\n'), words };
+  }
+
+  /**
+   * Split a text item into words; glyph widths aren't exposed, so word
+   * boxes are interpolated by character position within the item
+   */
+  splitItemIntoWords(item, pageHeight, lineText) {
+    const [, , , , x, baseline] = item.transform;
+    const height = item.height || Math.abs(item.transform[3]);
+    const charWidth = item.str.length > 0 ? item.width / item.str.length : 0;
+    const words = [];
+
+    for (const match of item.str.matchAll(/\S+/g)) {
+      words.push({
+        text: match[0],
+        line: lineText,
+        confidence: null,
+        bbox: {
+          x0: round(x + match.index * charWidth),
+          y0: round(pageHeight - baseline - height),
+          x1: round(x + (match.index + match[0].length) * charWidth),
+          y1: round(pageHeight - baseline)
+        }
+      });
+    }
+
+    return words;
+  }
+
+  /**
+   * Render a page to a PNG buffer at OCR resolution
+   */
+  async renderPage(page) {
+    const viewport = page.getViewport({ scale: config.pdfRenderScale });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+
+    // Scanned pages may be transparent; OCR needs a white background
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new PDFService();
\ No newline at end of file
@@ -0,0 +1,119 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const classifierService = require('./classifier.service');
+const taxBreakdownService = require('./taxBreakdown.service');
+
+class PercentageService {
+  constructor() {
+    // What a rate of each type is a percentage of, in order of preference;
+    // tax rates take the tax breakdown's taxable base
+    this.bases = {
+      discount: ['subtotal'],
+      copay: ['total_bill'],
+      coinsurance: ['total_bill']
+    };
+  }
+
+  /**
+   * Link each percentage (from OCRService.extractPercentagesFromPages) to
+   * the amount it describes, check the amount against rate × base, and
+   * infer the amount when only the rate is printed ("Discount: 10%" on a
+   * bill with a subtotal). A rate links to an amount of its label's type
+   * on the same line, else to the bill's only amount of that type. An
+   * amount in another currency than its base is not checked.
+   * Returns { amounts, percentages }
+   */
+  link(percentages, amounts, { rulePack } = {}) {
+    const inferred = [];
+    const report = [];
+    const linked = new Set();
+
+    for (const percentage of percentages || []) {
+      const classification = percentage.label ? classifierService.matchSnippetToType(percentage.label, rulePack) : null;
+      if (!classification || classification.confidence <= 0.5) {
+        logger.debug(`Percentage ${percentage.token} has no monetary label`);
+        continue;
+      }
+
+      const type = classification.type;
+      const ofType = amounts.filter(a => a.type === type && !linked.has(a));
+      const amount = ofType.find(a => a.page === percentage.page && a.segment_index === percentage.segment_index) ||
+        (ofType.length === 1 && amounts.filter(a => a.type === type).length === 1 ? ofType[0] : null);
+      if (amount) linked.add(amount);
+
+      // Amounts inferred from earlier rates count: a discount inferred from
+      // its rate lowers the base of the tax after it
+      let base = this.findBase(type, [...amounts, ...inferred]);
+      // The total less the taxes is no base for a tax that isn't on the bill
+      if (base && base.type === 'total_less_tax' && !amount) base = null;
+      const mixed = Boolean(amount && base && amount.currency && base.currency && amount.currency !== base.currency);
+      const expected = base && !mixed ? Math.round(base.value * percentage.value) / 100 : null;
+      const entry = {
+        type,
+        rate: percentage.value,
+        label: percentage.label,
+        page: percentage.page ?? null,
+        segment_index: percentage.segment_index,
+        char_start: percentage.char_start,
+        char_end: percentage.char_end,
+        base: base ? base.value : null,
+        base_type: base ? base.type : null,
+        amount: amount ? amount.value : null,
+        expected_amount: expected,
+        difference: null,
+        status: 'not_checked',
+        ...(mixed ? { reason: 'mixed_currency' } : {})
+      };
+
+      if (amount && expected !== null) {
+        // Deductions may be printed negative; the rate gives their size
+        entry.difference = Math.round((Math.abs(amount.value) - expected) * 100) / 100;
+        entry.status = Math.abs(entry.difference) <= config.reconciliationTolerance ? 'satisfied' : 'violated';
+        if (entry.status === 'violated') {
+          logger.warn(`${type} ${amount.value} is not ${percentage.value}% of ${base.type} ${base.value} (${expected})`);
+        }
+      } else if (!amount && expected > 0) {
+        entry.amount = expected;
+        entry.status = 'inferred';
+        inferred.push({
+          type,
+          value: expected,
+          source: 'inferred',
+          page: percentage.page ?? null,
+          segment_index: percentage.segment_index,
+          char_start: null,
+          char_end: null,
+          bbox: null,
+          ocr_confidence: null,
+          // The rate's own text labels the inferred amount
+          context_span: { text: `${percentage.label} ${percentage.token}`, start: null, end: null }
+        });
+        logger.info(`Inferred ${type} ${expected} as ${percentage.value}% of ${base.type} ${base.value}`);
+      }
+
+      report.push(entry);
+    }
+
+    return { amounts: [...amounts, ...inferred], percentages: report };
+  }
+
+  /**
+   * The amount a rate of `type` applies to: { type, value, currency } or
+   * null. For a tax rate `type` is the taxable base's source
+   * (TaxBreakdownService.taxableBase), so both sections use one base.
+   */
+  findBase(type, amounts) {
+    if (type === 'tax') {
+      const base = taxBreakdownService.taxableBase(amounts);
+      return base ? { type: base.source, value: base.value, currency: base.currency } : null;
+    }
+
+    for (const baseType of this.bases[type] || []) {
+      const base = amounts.find(a => a.type === baseType);
+      if (base) return { type: baseType, value: base.value, currency: base.currency ?? null };
+    }
+    return null;
+  }
+}
+
+module.exports = new PercentageService();
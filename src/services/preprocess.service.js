@@ -0,0 +1,330 @@
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+class PreprocessService {
+  constructor() {
+    // Each step takes a PNG buffer and returns { buffer, details, mapPoint? }.
+    // Geometric steps return mapPoint to convert a point back to the step's input.
+    this.steps = {
+      grayscale: buffer => this.grayscale(buffer),
+      normalize: buffer => this.normalize(buffer),
+      denoise: buffer => this.denoise(buffer),
+      upscale: buffer => this.upscale(buffer),
+      deskew: buffer => this.deskew(buffer),
+      adaptive_threshold: buffer => this.adaptiveThreshold(buffer),
+      crop_border: buffer => this.cropBorder(buffer)
+    };
+  }
+
+  /**
+   * Check whether a preprocessing profile exists
+   */
+  hasProfile(profile) {
+    return Object.prototype.hasOwnProperty.call(config.preprocessingProfiles, profile);
+  }
+
+  /**
+   * Run an image through the steps of a preprocessing profile
+   */
+  async preprocess(buffer, profile = config.defaultPreprocessingProfile) {
+    if (!this.hasProfile(profile)) {
+      throw new Error(`Unknown preprocessing profile: ${profile}`);
+    }
+
+    const startTime = Date.now();
+    const stepNames = config.preprocessingProfiles[profile];
+    const applied = [];
+    const pointMappers = [];
+
+    if (stepNames.length === 0) {
+      return { buffer, profile, steps: [], duration_ms: 0, mapBbox: bbox => bbox };
+    }
+
+    let current = await sharp(buffer).png().toBuffer();
+
+    for (const name of stepNames) {
+      const result = await this.steps[name](current);
+      applied.push({ name, applied: result.applied !== false, ...result.details });
+
+      if (result.applied !== false) {
+        current = result.buffer;
+        if (result.mapPoint) pointMappers.push(result.mapPoint);
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`Preprocessing (${profile}) completed in ${duration}ms: ${applied.filter(s => s.applied).map(s => s.name).join(', ')}`);
+
+    return {
+      buffer: current,
+      profile,
+      steps: applied,
+      duration_ms: duration,
+      mapBbox: bbox => this.mapBbox(bbox, pointMappers)
+    };
+  }
+
+  /**
+   * Map a bounding box on the preprocessed image back to the original image
+   */
+  mapBbox(bbox, pointMappers) {
+    if (pointMappers.length === 0) return bbox;
+
+    const corners = [
+      [bbox.x0, bbox.y0], [bbox.x1, bbox.y0],
+      [bbox.x0, bbox.y1], [bbox.x1, bbox.y1]
+    ].map(([x, y]) => {
+      let point = { x, y };
+      for (let i = pointMappers.length - 1; i >= 0; i--) {
+        point = pointMappers[i](point);
+      }
+      return point;
+    });
+
+    return {
+      x0: Math.round(Math.min(...corners.map(p => p.x))),
+      y0: Math.round(Math.min(...corners.map(p => p.y))),
+      x1: Math.round(Math.max(...corners.map(p => p.x))),
+      y1: Math.round(Math.max(...corners.map(p => p.y)))
+    };
+  }
+
+  /**
+   * Rotate clockwise by a multiple of 90 degrees (orientation correction)
+   */
+  async rotateRightAngle(buffer, degrees) {
+    const { width, height } = await sharp(buffer).metadata();
+    const rotated = await sharp(buffer).rotate(degrees).png().toBuffer();
+
+    // Inverse mappings from the rotated image back to the original
+    const inverse = {
+      90: ({ x, y }) => ({ x: y, y: height - x }),
+      180: ({ x, y }) => ({ x: width - x, y: height - y }),
+      270: ({ x, y }) => ({ x: width - y, y: x })
+    }[degrees];
+
+    return {
+      buffer: rotated,
+      mapBbox: bbox => this.mapBbox(bbox, [inverse])
+    };
+  }
+
+  async grayscale(buffer) {
+    return { buffer: await sharp(buffer).grayscale().png().toBuffer() };
+  }
+
+  /**
+   * Stretch contrast so the darkest ink is black and paper is white
+   */
+  async normalize(buffer) {
+    return { buffer: await sharp(buffer).normalise().png().toBuffer() };
+  }
+
+  /**
+   * Remove salt-and-pepper noise from phone photos and fax scans
+   */
+  async denoise(buffer) {
+    return {
+      buffer: await sharp(buffer).median(3).png().toBuffer(),
+      details: { filter: 'median', size: 3 }
+    };
+  }
+
+  /**
+   * Scale small images up to the resolution Tesseract works best at
+   */
+  async upscale(buffer) {
+    const { width, height, density } = await sharp(buffer).metadata();
+
+    // Prefer the embedded DPI; 72 is the placeholder most encoders write
+    // when they don't know, so treat it like missing and use a minimum width
+    let factor = density && density > 72
+      ? config.preprocessTargetDpi / density
+      : config.preprocessMinWidth / width;
+    factor = Math.min(factor, config.preprocessMaxUpscale, config.preprocessMaxWidth / width);
+
+    if (factor <= 1.05) {
+      return { applied: false, details: { reason: 'resolution already sufficient' } };
+    }
+
+    const newWidth = Math.round(width * factor);
+    const newHeight = Math.round(height * factor);
+
+    return {
+      buffer: await sharp(buffer).resize(newWidth, newHeight, { kernel: 'lanczos3' }).png().toBuffer(),
+      details: { factor: parseFloat(factor.toFixed(2)), from: [width, height], to: [newWidth, newHeight] },
+      mapPoint: ({ x, y }) => ({ x: x / factor, y: y / factor })
+    };
+  }
+
+  /**
+   * Estimate text skew from row projection profiles and rotate it level
+   */
+  async deskew(buffer) {
+    const angle = await this.estimateSkew(buffer);
+
+    if (Math.abs(angle) < config.preprocessMinSkew) {
+      return { applied: false, details: { angle } };
+    }
+
+    const { width, height } = await sharp(buffer).metadata();
+    const { data, info } = await sharp(buffer)
+      .rotate(-angle, { background: WHITE })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    // Inverse of the rotation, taken about the centres of both images
+    const radians = (-angle * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    return {
+      buffer: data,
+      details: { angle },
+      mapPoint: ({ x, y }) => {
+        const dx = x - info.width / 2;
+        const dy = y - info.height / 2;
+        return {
+          x: width / 2 + dx * cos + dy * sin,
+          y: height / 2 - dx * sin + dy * cos
+        };
+      }
+    };
+  }
+
+  /**
+   * Find the angle (degrees, clockwise positive) whose row projection of
+   * dark pixels is sharpest, i.e. where text lines are horizontal
+   */
+  async estimateSkew(buffer) {
+    const { data, info } = await sharp(buffer)
+      .grayscale()
+      .resize({ width: 800, withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const ink = [];
+    for (let y = 0; y < info.height; y++) {
+      for (let x = 0; x < info.width; x++) {
+        if (data[y * info.width + x] < 128) ink.push(x, y);
+      }
+    }
+
+    if (ink.length === 0) return 0;
+
+    const maxSkew = config.preprocessMaxSkew;
+    const binCount = info.width + info.height;
+    let bestAngle = 0;
+    let bestScore = -1;
+
+    for (let angle = -maxSkew; angle <= maxSkew; angle += 0.25) {
+      const radians = (angle * Math.PI) / 180;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      const bins = new Float64Array(binCount * 2);
+
+      for (let i = 0; i < ink.length; i += 2) {
+        const row = Math.round(-ink[i] * sin + ink[i + 1] * cos) + binCount;
+        bins[row]++;
+      }
+
+      let score = 0;
+      for (let i = 1; i < bins.length; i++) {
+        const diff = bins[i] - bins[i - 1];
+        score += diff * diff;
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+
+    return bestAngle;
+  }
+
+  /**
+   * Bradley-Roth adaptive thresholding: a pixel is ink if it is noticeably
+   * darker than the mean of its neighbourhood, which copes with the uneven
+   * lighting of photographed receipts
+   */
+  async adaptiveThreshold(buffer) {
+    const { data, info } = await sharp(buffer)
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const integral = new Float64Array((width + 1) * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += data[y * width + x];
+        integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+      }
+    }
+
+    const half = Math.max(7, Math.floor(width / 16 / 2));
+    const sensitivity = config.preprocessThresholdSensitivity;
+    const output = Buffer.alloc(width * height);
+
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - half);
+      const y1 = Math.min(height - 1, y + half);
+
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - half);
+        const x1 = Math.min(width - 1, x + half);
+        const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+        const sum = integral[(y1 + 1) * (width + 1) + x1 + 1]
+          - integral[y0 * (width + 1) + x1 + 1]
+          - integral[(y1 + 1) * (width + 1) + x0]
+          + integral[y0 * (width + 1) + x0];
+
+        output[y * width + x] = data[y * width + x] * count < sum * (1 - sensitivity) ? 0 : 255;
+      }
+    }
+
+    return {
+      buffer: await sharp(output, { raw: { width, height, channels: 1 } }).png().toBuffer(),
+      details: { window: half * 2 + 1, sensitivity }
+    };
+  }
+
+  /**
+   * Trim uniform borders (scanner bed, table surface) around the document
+   */
+  async cropBorder(buffer) {
+    try {
+      const { width, height } = await sharp(buffer).metadata();
+      const { data, info } = await sharp(buffer)
+        .trim({ threshold: 40 })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+
+      const left = -(info.trimOffsetLeft || 0);
+      const top = -(info.trimOffsetTop || 0);
+
+      // Nothing trimmed: same origin and same size
+      if (left === 0 && top === 0 && info.width === width && info.height === height) {
+        return { applied: false, details: { reason: 'no border found' } };
+      }
+
+      return {
+        buffer: data,
+        details: { offset: [left, top], size: [info.width, info.height] },
+        mapPoint: ({ x, y }) => ({ x: x + left, y: y + top })
+      };
+    } catch (error) {
+      // sharp refuses to trim an image that is entirely background
+      logger.debug(`Border crop skipped: ${error.message}`);
+      return { applied: false, details: { reason: 'no border found' } };
+    }
+  }
+}
+
+module.exports = new PreprocessService();
\ No newline at end of file
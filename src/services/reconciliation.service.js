@@ -0,0 +1,355 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const classifierService = require('./classifier.service');
+
+class ReconciliationService {
+  constructor() {
+    // Each equation: sum of sign × term = result. Terms listed in `summed`
+    // add up every amount of that type (CGST + SGST) and count as 0 when
+    // absent; the others take a single value. `absolute` terms are deductions
+    // that count by size whether printed as 100 or -100, and an equation with
+    // `requiresAny` is only checked when one of those terms is on the bill.
+    // A round-off keeps its printed sign: "-0.40" brings the total down;
+    // `bounded` terms are never larger than the given size.
+    this.equations = [
+      {
+        equation: 'subtotal + tax - discount + round_off = total_bill',
+        terms: { subtotal: 1, tax: 1, discount: -1, round_off: 1 },
+        result: 'total_bill',
+        summed: ['tax', 'discount', 'round_off'],
+        absolute: ['discount'],
+        bounded: { round_off: 1 }
+      },
+      {
+        equation: 'paid + due = total_bill',
+        terms: { paid: 1, due: 1 },
+        result: 'total_bill',
+        summed: []
+      },
+      {
+        equation: 'total_bill - insurance_covered - advance_deposit = patient_payable',
+        terms: { total_bill: 1, insurance_covered: -1, advance_deposit: -1 },
+        result: 'patient_payable',
+        summed: ['insurance_covered', 'advance_deposit'],
+        absolute: ['insurance_covered', 'advance_deposit'],
+        requiresAny: ['insurance_covered', 'advance_deposit']
+      }
+    ];
+
+    // Types a bill has only one of
+    this.singletonTypes = ['total_bill', 'subtotal', 'paid', 'due', 'patient_payable'];
+
+    // Bounds the label combinations tried when disambiguating
+    this.maxCombinations = 256;
+  }
+
+  /**
+   * Check classified amounts against the bill's arithmetic: choose between
+   * competing values for the same label, infer a single missing amount and
+   * report every equation as satisfied, violated or not checked. Nothing is
+   * inferred from an equation whose label is still contested, and an
+   * equation adding up amounts in different currencies (per the amounts'
+   * `currency`) is neither checked nor used.
+   */
+  reconcile(amounts) {
+    const mixed = this.mixedCurrencies(amounts);
+    const { chosen, rejected, contested } = this.disambiguate(amounts, mixed);
+
+    const kept = amounts.filter(a => !rejected.includes(a));
+    const values = this.collectValues(kept, chosen);
+    const inferred = this.infer(values, contested, mixed);
+
+    const reconciledAmounts = [
+      ...kept,
+      ...inferred.map(({ type, value }) => ({
+        type,
+        value,
+        source: 'inferred',
+        page: null,
+        segment_index: null,
+        char_start: null,
+        char_end: null,
+        bbox: null,
+        ocr_confidence: null,
+        context_span: null
+      }))
+    ];
+
+    const equations = this.equations.map(eq => {
+      const result = this.evaluate(eq, values);
+      if (mixed[eq.equation]) {
+        return {
+          equation: eq.equation,
+          status: 'not_checked',
+          values: result.values,
+          reason: 'mixed_currency',
+          currencies: mixed[eq.equation]
+        };
+      }
+
+      const inferredHere = inferred.find(i => i.equation === eq.equation);
+      const contestedHere = this.contestedTerms(eq, contested);
+      return {
+        ...result,
+        ...(inferredHere ? { status: 'inferred', assumes_zero: inferredHere.assumes_zero } : {}),
+        ...(contestedHere.length > 0 ? { contested: contestedHere } : {})
+      };
+    });
+
+    const satisfied = equations.filter(e => e.status === 'satisfied' || e.status === 'inferred').length;
+    const violated = equations.filter(e => e.status === 'violated').length;
+    logger.info(
+      `Reconciliation: ${satisfied} satisfied, ${violated} violated, ` +
+      `${inferred.length} inferred, ${rejected.length} rejected`
+    );
+
+    return {
+      amounts: reconciledAmounts,
+      reconciliation: {
+        equations,
+        inferred: inferred.map(({ type, value, equation, assumes_zero }) => ({ type, value, equation, assumes_zero })),
+        contested,
+        rejected: rejected.map(a => ({
+          type: a.type,
+          value: a.value,
+          source: a.source,
+          reason: `another ${a.type} value satisfies more equations`
+        })),
+        issues: classifierService.validateClassification(reconciledAmounts).issues
+      }
+    };
+  }
+
+  /**
+   * Currencies of the amounts each equation adds up, for the equations
+   * whose amounts span more than one ("Tax €10" against "Total $130").
+   * Amounts with no currency don't count.
+   * Returns { [equation]: [codes] }
+   */
+  mixedCurrencies(amounts) {
+    const mixed = {};
+    for (const eq of this.equations) {
+      const types = [...Object.keys(eq.terms), eq.result];
+      const codes = [...new Set(amounts.filter(a => types.includes(a.type)).map(a => a.currency).filter(Boolean))];
+      if (codes.length > 1) {
+        mixed[eq.equation] = codes;
+        logger.warn(`${eq.equation} not checked: amounts in ${codes.join(', ')}`);
+      }
+    }
+    return mixed;
+  }
+
+  /**
+   * When a singleton label has several distinct values, keep the combination
+   * that satisfies the most equations (`mixed` currency ones don't count).
+   * Nothing is rejected unless exactly one combination is best and it
+   * satisfies at least one equation; the labels left unresolved are
+   * returned as `contested`.
+   */
+  disambiguate(amounts, mixed = {}) {
+    const candidates = {};
+    for (const type of this.singletonTypes) {
+      const values = [];
+      for (const amount of amounts.filter(a => a.type === type)) {
+        if (!values.some(v => this.equal(v, amount.value))) values.push(amount.value);
+      }
+      if (values.length > 0) candidates[type] = values;
+    }
+
+    const competing = Object.keys(candidates).filter(type => candidates[type].length > 1);
+    const chosen = {};
+    for (const type of Object.keys(candidates)) chosen[type] = candidates[type][0];
+
+    if (competing.length === 0) return { chosen, rejected: [], contested: [] };
+
+    const combinations = this.combinations(competing.map(type => candidates[type]));
+    if (combinations.length > this.maxCombinations) {
+      logger.warn(`Too many competing labels to disambiguate (${combinations.length} combinations)`);
+      return { chosen, rejected: [], contested: competing };
+    }
+
+    let best = null;
+    let bestScore = 0;
+    let tied = false;
+
+    for (const combination of combinations) {
+      const selection = { ...chosen };
+      competing.forEach((type, index) => { selection[type] = combination[index]; });
+
+      const values = this.collectValues(amounts, selection);
+      const score = this.equations.filter(eq =>
+        !mixed[eq.equation] && this.evaluate(eq, values).status === 'satisfied'
+      ).length;
+
+      if (score > bestScore) {
+        best = selection;
+        bestScore = score;
+        tied = false;
+      } else if (score === bestScore && score > 0) {
+        tied = true;
+      }
+    }
+
+    if (!best || tied) {
+      logger.warn(`Competing ${competing.join(', ')} values could not be resolved by the bill arithmetic`);
+      return { chosen, rejected: [], contested: competing };
+    }
+
+    const rejected = amounts.filter(a =>
+      competing.includes(a.type) && !this.equal(a.value, best[a.type])
+    );
+    for (const amount of rejected) {
+      logger.info(`Rejected ${amount.type} ${amount.value}: ${amount.type} ${best[amount.type]} fits the totals`);
+    }
+
+    return { chosen: best, rejected, contested: [] };
+  }
+
+  combinations(lists) {
+    return lists.reduce(
+      (acc, list) => acc.flatMap(prefix => list.map(value => [...prefix, value])),
+      [[]]
+    );
+  }
+
+  /**
+   * Value per type: the chosen value for singletons, sums for summed terms
+   */
+  collectValues(amounts, chosen) {
+    const values = { ...chosen };
+
+    for (const eq of this.equations) {
+      const absolute = eq.absolute || [];
+      for (const type of eq.summed) {
+        const ofType = amounts.filter(a => a.type === type);
+        if (ofType.length > 0) {
+          values[type] = ofType.reduce((sum, a) => sum + (absolute.includes(type) ? Math.abs(a.value) : a.value), 0);
+        }
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Fill in an equation's one missing single-valued amount, repeating while
+   * new values let another equation be solved. Equations touching a
+   * `contested` label or mixing currencies are skipped; summed terms absent
+   * from the bill count as 0, and the inferred value lists them in
+   * `assumes_zero`.
+   */
+  infer(values, contested = [], mixed = {}) {
+    const inferred = [];
+    let progress = true;
+
+    while (progress) {
+      progress = false;
+
+      for (const eq of this.equations) {
+        const singles = [...Object.keys(eq.terms), eq.result].filter(t => !eq.summed.includes(t));
+        const missing = singles.filter(t => values[t] === undefined);
+        const known = [...Object.keys(eq.terms), eq.result].filter(t => values[t] !== undefined);
+
+        // One unknown, and at least two amounts to derive it from
+        if (missing.length !== 1 || known.length < 2 || this.lacksRequired(eq, values)) continue;
+        if (this.contestedTerms(eq, contested).length > 0 || mixed[eq.equation]) continue;
+
+        const type = missing[0];
+        const value = this.solve(eq, values, type);
+        if (!(value > 0)) continue;
+
+        values[type] = value;
+        inferred.push({
+          type,
+          value,
+          equation: eq.equation,
+          assumes_zero: eq.summed.filter(t => values[t] === undefined)
+        });
+        logger.info(`Inferred ${type} ${value} from ${eq.equation}`);
+        progress = true;
+      }
+    }
+
+    return inferred;
+  }
+
+  contestedTerms(eq, contested) {
+    return [...Object.keys(eq.terms), eq.result].filter(t => contested.includes(t));
+  }
+
+  lacksRequired(eq, values) {
+    return Boolean(eq.requiresAny) && !eq.requiresAny.some(t => values[t] !== undefined);
+  }
+
+  solve(eq, values, type) {
+    const termSum = this.termSum(eq, values, type);
+    const value = type === eq.result ? termSum : (values[eq.result] - termSum) / eq.terms[type];
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Signed sum of an equation's terms, skipping `exclude`
+   */
+  termSum(eq, values, exclude = null) {
+    return Object.entries(eq.terms)
+      .filter(([type]) => type !== exclude)
+      .reduce((sum, [type, sign]) => sum + sign * (values[type] || 0), 0);
+  }
+
+  evaluate(eq, values) {
+    const singles = [...Object.keys(eq.terms), eq.result].filter(t => !eq.summed.includes(t));
+    const missing = singles.filter(t => values[t] === undefined);
+
+    const involved = {};
+    for (const type of [...Object.keys(eq.terms), eq.result]) {
+      if (values[type] !== undefined) involved[type] = values[type];
+    }
+
+    if (missing.length > 0) {
+      return { equation: eq.equation, status: 'not_checked', values: involved, missing };
+    }
+    if (this.lacksRequired(eq, values)) {
+      return { equation: eq.equation, status: 'not_checked', values: involved, missing: eq.requiresAny };
+    }
+
+    const expected = Math.round(this.termSum(eq, values) * 100) / 100;
+    const actual = values[eq.result];
+    const difference = Math.round((actual - expected) * 100) / 100;
+
+    // A gap an absent term could fill ("Subtotal 1000, Total 1180" with no
+    // tax line) says the term wasn't read, not that the bill is wrong
+    const unread = this.equal(expected, actual) ? [] : this.unreadTerms(eq, values, difference);
+    if (unread.length > 0) {
+      return { equation: eq.equation, status: 'not_checked', values: involved, expected, actual, difference, missing: unread };
+    }
+
+    return {
+      equation: eq.equation,
+      status: this.equal(expected, actual) ? 'satisfied' : 'violated',
+      values: involved,
+      expected,
+      actual,
+      difference
+    };
+  }
+
+  /**
+   * Summed terms absent from the bill that could account for `difference`:
+   * one that adds (tax) when the result is above the terms, one that
+   * deducts (discount) when it is below, and a `bounded` one only for a
+   * gap within its size
+   */
+  unreadTerms(eq, values, difference) {
+    const bounded = eq.bounded || {};
+    return eq.summed.filter(type =>
+      values[type] === undefined &&
+      (type in bounded ? Math.abs(difference) <= bounded[type] : Math.sign(difference) === eq.terms[type])
+    );
+  }
+
+  equal(a, b) {
+    return Math.abs(a - b) <= config.reconciliationTolerance;
+  }
+}
+
+module.exports = new ReconciliationService();
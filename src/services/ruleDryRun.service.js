@@ -0,0 +1,110 @@
+const logger = require('../utils/logger');
+const ocrService = require('./ocr.service');
+const classifierService = require('./classifier.service');
+
+class RuleDryRunService {
+  /**
+   * Show how a rule pack reads sample text, snippet by snippet: the exclude
+   * patterns that fire, whether the line counts as monetary, every rule's
+   * score and the decision, for the whole snippet and for each amount's
+   * span (what /api/classify classifies). Nothing is extracted or stored.
+   * Returns { snippets, summary }
+   */
+  run(text, rulePack, { locale = 'auto' } = {}) {
+    const format = { locale, hint: classifierService.detectTextFormat(text) };
+
+    const snippets = classifierService.findContextSnippets(text).map((snippet, index) => {
+      const snippetAmounts = classifierService.extractAmountsFromSnippet(snippet, format);
+      const spans = classifierService.labelSpans(snippet, snippetAmounts, rulePack);
+
+      return {
+        index,
+        text: snippet,
+        exclude_patterns: ocrService.firedExcludePatterns(snippet, rulePack).map(pattern => pattern.source),
+        monetary_line: ocrService.isMonetaryLine(snippet, rulePack),
+        rule_scores: classifierService.scoreRules(snippet, rulePack).map(rule => ({
+          type: rule.type,
+          priority: rule.priority,
+          score: rule.score,
+          pattern_matched: rule.patternMatched,
+          keyword_matches: rule.keywordMatches
+        })),
+        decision: this.decision(classifierService.matchSnippetToType(snippet, rulePack)),
+        amounts: snippetAmounts.map(({ value }, i) => ({
+          value,
+          context_span: spans[i],
+          // As in classification, an unlabelled negative amount is an adjustment
+          decision: this.decision(
+            classifierService.matchSnippetToType(spans[i].text, rulePack) ||
+            (value < 0 ? classifierService.negativeFallback() : null)
+          )
+        }))
+      };
+    });
+
+    const amounts = snippets.flatMap(s => s.amounts);
+    const summary = {
+      snippets: snippets.length,
+      excluded: snippets.filter(s => s.exclude_patterns.length > 0).length,
+      monetary_lines: snippets.filter(s => s.monetary_line).length,
+      amounts: amounts.length,
+      classified: amounts.filter(a => a.decision.status === 'classified').length
+    };
+
+    logger.info(`Rule dry-run with ${rulePack.name}@${rulePack.version}: ${JSON.stringify(summary)}`);
+
+    return { snippets, summary };
+  }
+
+  /**
+   * A match as reported by the dry-run; at 0.5 confidence or below the
+   * classifier leaves the amount unclassified
+   */
+  decision(match) {
+    if (!match) return { type: null, confidence: 0, status: 'no_match' };
+
+    return {
+      type: match.type,
+      confidence: parseFloat(match.confidence.toFixed(2)),
+      status: match.confidence > 0.5 ? 'classified' : 'low_confidence'
+    };
+  }
+
+  /**
+   * Snippets two rule packs read differently (both runs are over the same
+   * text, so snippets line up by index)
+   */
+  diff(before, after) {
+    const changed = [];
+
+    before.snippets.forEach((a, index) => {
+      const b = after.snippets[index];
+      const changes = [];
+
+      if (a.monetary_line !== b.monetary_line) {
+        changes.push({ field: 'monetary_line', from: a.monetary_line, to: b.monetary_line });
+      }
+      if (a.exclude_patterns.join('\n') !== b.exclude_patterns.join('\n')) {
+        changes.push({ field: 'exclude_patterns', from: a.exclude_patterns, to: b.exclude_patterns });
+      }
+      if (!this.sameDecision(a.decision, b.decision)) {
+        changes.push({ field: 'decision', from: a.decision, to: b.decision });
+      }
+      a.amounts.forEach((amount, i) => {
+        if (!this.sameDecision(amount.decision, b.amounts[i].decision)) {
+          changes.push({ field: 'amount', value: amount.value, from: amount.decision, to: b.amounts[i].decision });
+        }
+      });
+
+      if (changes.length > 0) changed.push({ index, text: a.text, changes });
+    });
+
+    return changed;
+  }
+
+  sameDecision(a, b) {
+    return a.type === b.type && a.status === b.status && a.confidence === b.confidence;
+  }
+}
+
+module.exports = new RuleDryRunService();
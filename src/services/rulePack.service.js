@@ -0,0 +1,454 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+class RulePackService {
+  constructor() {
+    // Compiled packs by name
+    this.packs = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+
+    // Editors save in several writes; wait for them to settle
+    this.reloadDebounce = 250;
+
+    // Patterns also come from dry-run requests; a long one or a repeated
+    // group that itself repeats ("(a+)+") can backtrack for seconds
+    this.maxPatternLength = 200;
+
+    const { errors } = this.load();
+    if (!this.packs.has(config.defaultRulePack)) {
+      const detail = errors.map(e => `${e.file}: ${e.errors.join('; ')}`).join(' | ');
+      throw new Error(
+        `Default rule pack "${config.defaultRulePack}" could not be loaded from ${config.rulePacksDir}` +
+        (detail ? ` (${detail})` : '')
+      );
+    }
+  }
+
+  /**
+   * (Re)load every *.json pack in the rule pack directory. A pack that fails
+   * validation keeps its previously loaded version; packs whose file is gone
+   * are dropped, except the default. Packs are JSON only: a YAML file is
+   * reported in `errors` rather than silently ignored.
+   * Returns { loaded: [{ name, version }], errors: [{ file, errors }] }
+   */
+  load() {
+    const loaded = [];
+    const errors = [];
+    const seen = new Set();
+
+    let entries = [];
+    try {
+      entries = fs.readdirSync(config.rulePacksDir).sort();
+    } catch (error) {
+      logger.error(`Cannot read rule pack directory ${config.rulePacksDir}: ${error.message}`);
+      return { loaded, errors: [{ file: config.rulePacksDir, errors: [error.message] }] };
+    }
+
+    const files = entries.filter(f => f.endsWith('.json'));
+    for (const file of entries.filter(f => /\.ya?ml$/i.test(f))) {
+      errors.push({ file, errors: ['YAML packs are not supported; convert the pack to JSON'] });
+    }
+
+    for (const file of files) {
+      // A pack is named after its file, so a broken file keeps its last good version
+      const name = path.basename(file, '.json');
+      seen.add(name);
+
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(path.join(config.rulePacksDir, file), 'utf8'));
+      } catch (error) {
+        errors.push({ file, errors: [`invalid JSON: ${error.message}`] });
+        continue;
+      }
+
+      const validation = this.validate(raw);
+      if (validation.valid && raw.name !== name) {
+        validation.errors.push(`name "${raw.name}" must match the file name "${name}"`);
+      }
+      if (validation.errors.length > 0) {
+        errors.push({ file, errors: validation.errors });
+        continue;
+      }
+
+      this.packs.set(name, this.compile(raw, file));
+      loaded.push({ name, version: raw.version });
+    }
+
+    for (const name of [...this.packs.keys()]) {
+      if (!seen.has(name) && name !== config.defaultRulePack) {
+        this.packs.delete(name);
+        logger.info(`Rule pack "${name}" removed`);
+      }
+    }
+
+    for (const { file, errors: fileErrors } of errors) {
+      logger.error(`Rule pack ${file} rejected: ${fileErrors.join('; ')}`);
+    }
+    logger.info(`Loaded rule packs: ${loaded.map(p => `${p.name}@${p.version}`).join(', ') || 'none'}`);
+
+    return { loaded, errors };
+  }
+
+  /**
+   * Check a parsed pack file against the rule pack schema
+   */
+  validate(raw) {
+    const errors = [];
+    const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0);
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { valid: false, errors: ['rule pack must be a JSON object'] };
+    }
+
+    if (typeof raw.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(raw.name)) {
+      errors.push('name must be letters, digits, "-" or "_"');
+    }
+    if (typeof raw.version !== 'string' || raw.version.length === 0) {
+      errors.push('version must be a non-empty string');
+    }
+    if (raw.description !== undefined && typeof raw.description !== 'string') {
+      errors.push('description must be a string');
+    }
+
+    if (!isStringList(raw.monetary_keywords) || raw.monetary_keywords.length === 0) {
+      errors.push('monetary_keywords must be a non-empty array of strings');
+    }
+
+    if (raw.summary_keywords !== undefined && !isStringList(raw.summary_keywords)) {
+      errors.push('summary_keywords must be an array of strings');
+    }
+
+    if (!Array.isArray(raw.exclude_patterns)) {
+      errors.push('exclude_patterns must be an array');
+    } else {
+      raw.exclude_patterns.forEach((entry, index) => {
+        if (!entry || typeof entry.pattern !== 'string') {
+          errors.push(`exclude_patterns[${index}].pattern must be a string`);
+        } else {
+          errors.push(...this.checkPattern(entry.pattern, `exclude_patterns[${index}]`));
+        }
+      });
+    }
+
+    if (!Array.isArray(raw.classification_rules) || raw.classification_rules.length === 0) {
+      errors.push('classification_rules must be a non-empty array');
+    } else {
+      raw.classification_rules.forEach((rule, index) => {
+        const where = `classification_rules[${index}]`;
+        if (!rule || typeof rule.type !== 'string' || !/^[a-z][a-z0-9_]*$/.test(rule.type)) {
+          errors.push(`${where}.type must be a snake_case string`);
+          return;
+        }
+        if (!isStringList(rule.keywords)) {
+          errors.push(`${where}.keywords must be an array of strings`);
+        }
+        if (rule.patterns !== undefined && !isStringList(rule.patterns)) {
+          errors.push(`${where}.patterns must be an array of strings`);
+        } else {
+          for (const pattern of rule.patterns || []) errors.push(...this.checkPattern(pattern, where));
+        }
+        if (typeof rule.priority !== 'number' || !(rule.priority > 0)) {
+          errors.push(`${where}.priority must be a positive number`);
+        }
+      });
+    }
+
+    if (raw.document_types !== undefined) {
+      errors.push(...this.validateDocumentTypes(raw.document_types, raw.classification_rules, isStringList));
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Check a pack's document types: each needs a snake_case `type` and
+   * `signals`; its `rules` adjust the pack's classification rules (a rule
+   * for a type the pack doesn't have needs keywords and a priority)
+   */
+  validateDocumentTypes(documentTypes, classificationRules, isStringList) {
+    const errors = [];
+    const ruleTypes = Array.isArray(classificationRules) ? classificationRules.map(r => r && r.type) : [];
+
+    if (!Array.isArray(documentTypes)) return ['document_types must be an array'];
+
+    documentTypes.forEach((documentType, index) => {
+      const where = `document_types[${index}]`;
+      if (!documentType || typeof documentType.type !== 'string' || !/^[a-z][a-z0-9_]*$/.test(documentType.type)) {
+        errors.push(`${where}.type must be a snake_case string`);
+        return;
+      }
+      if (documentType.type === 'unknown') {
+        errors.push(`${where}.type "unknown" is reserved`);
+      }
+      if (!isStringList(documentType.signals) || documentType.signals.length === 0) {
+        errors.push(`${where}.signals must be a non-empty array of strings`);
+      }
+      if (documentType.patterns !== undefined && !isStringList(documentType.patterns)) {
+        errors.push(`${where}.patterns must be an array of strings`);
+      } else {
+        for (const pattern of documentType.patterns || []) errors.push(...this.checkPattern(pattern, where));
+      }
+      for (const field of ['expected_amounts', 'unexpected_amounts']) {
+        if (documentType[field] !== undefined && !isStringList(documentType[field])) {
+          errors.push(`${where}.${field} must be an array of strings`);
+        }
+      }
+
+      if (documentType.rules !== undefined && !Array.isArray(documentType.rules)) {
+        errors.push(`${where}.rules must be an array`);
+        return;
+      }
+      (documentType.rules || []).forEach((rule, ruleIndex) => {
+        const ruleWhere = `${where}.rules[${ruleIndex}]`;
+        if (!rule || typeof rule.type !== 'string' || !/^[a-z][a-z0-9_]*$/.test(rule.type)) {
+          errors.push(`${ruleWhere}.type must be a snake_case string`);
+          return;
+        }
+        const isNew = !ruleTypes.includes(rule.type);
+        if ((rule.keywords !== undefined || isNew) && !isStringList(rule.keywords)) {
+          errors.push(`${ruleWhere}.keywords must be an array of strings`);
+        }
+        if (rule.patterns !== undefined && !isStringList(rule.patterns)) {
+          errors.push(`${ruleWhere}.patterns must be an array of strings`);
+        } else {
+          for (const pattern of rule.patterns || []) errors.push(...this.checkPattern(pattern, ruleWhere));
+        }
+        if ((rule.priority !== undefined || isNew) && !(typeof rule.priority === 'number' && rule.priority > 0)) {
+          errors.push(`${ruleWhere}.priority must be a positive number`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  checkPattern(pattern, where) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return [`${where}: invalid pattern ${pattern} (${error.message})`];
+    }
+
+    if (pattern.length > this.maxPatternLength) {
+      return [`${where}: pattern longer than ${this.maxPatternLength} characters`];
+    }
+    if (this.hasNestedQuantifier(pattern)) {
+      return [`${where}: pattern ${pattern} repeats a group that already repeats (catastrophic backtracking)`];
+    }
+    return [];
+  }
+
+  /**
+   * Whether a repeated group contains a repeat of its own, as in "(a+)+",
+   * "(?:\s*x)*" or "(\d{1,3})+" - the shape behind catastrophic backtracking.
+   * Escapes and character classes are skipped; a group's `?` counts as
+   * optional, not repeated.
+   */
+  hasNestedQuantifier(pattern) {
+    // Whether a quantifier starting at `i` repeats a variable number of times
+    const repeatAt = i => {
+      if (pattern[i] === '+' || pattern[i] === '*') return true;
+      const bound = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+      return Boolean(bound) && bound[2] !== undefined && (bound[3] === '' || Number(bound[3]) > Math.max(1, Number(bound[1])));
+    };
+
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '[') {
+        // Skip to the closing bracket; "]" first in the class is literal
+        i++;
+        if (pattern[i] === '^') i++;
+        if (pattern[i] === ']') i++;
+        while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+      } else if (char === '(') {
+        groups.push({ repeats: false });
+      } else if (char === ')') {
+        const group = groups.pop() || { repeats: false };
+        if (repeatAt(i + 1)) {
+          if (group.repeats) return true;
+          if (groups.length > 0) groups[groups.length - 1].repeats = true;
+        } else if (group.repeats && groups.length > 0) {
+          groups[groups.length - 1].repeats = true;
+        }
+      } else if (repeatAt(i) && groups.length > 0) {
+        groups[groups.length - 1].repeats = true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Turn a validated pack file into the shape the services use; patterns
+   * are case-insensitive
+   */
+  compile(raw, file) {
+    return {
+      name: raw.name,
+      version: raw.version,
+      description: raw.description || null,
+      file,
+      loadedAt: new Date().toISOString(),
+      monetaryKeywords: raw.monetary_keywords,
+      excludePatterns: raw.exclude_patterns.map(entry => new RegExp(entry.pattern, 'i')),
+      summaryRow: raw.summary_keywords ? this.keywordPattern(raw.summary_keywords) : null,
+      classificationRules: raw.classification_rules.map(rule => ({
+        type: rule.type,
+        keywords: rule.keywords,
+        patterns: (rule.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+        priority: rule.priority
+      })),
+      documentTypes: (raw.document_types || []).map(documentType => ({
+        type: documentType.type,
+        signals: documentType.signals,
+        patterns: (documentType.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+        expectedAmounts: documentType.expected_amounts || [],
+        unexpectedAmounts: documentType.unexpected_amounts || [],
+        rules: (documentType.rules || []).map(rule => ({
+          type: rule.type,
+          keywords: rule.keywords || [],
+          patterns: (rule.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+          priority: rule.priority
+        }))
+      }))
+    };
+  }
+
+  /**
+   * One case-insensitive pattern matching any of the keywords as whole
+   * words; a space in a keyword matches any run of spaces, or none
+   */
+  keywordPattern(keywords) {
+    if (keywords.length === 0) return null;
+    const alternatives = keywords
+      .map(keyword => keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*'))
+      .join('|');
+    return new RegExp(`(?<![a-z0-9])(?:${alternatives})(?![a-z0-9])`, 'i');
+  }
+
+  /**
+   * The pack as tailored to a document type: the type's rules add keywords
+   * and patterns to the pack's rules of the same type, may change their
+   * priority, and add rules the pack doesn't have. Unknown types get the
+   * pack unchanged.
+   */
+  forDocumentType(pack, type) {
+    const documentType = pack.documentTypes.find(d => d.type === type);
+    if (!documentType || documentType.rules.length === 0) return pack;
+
+    const classificationRules = pack.classificationRules.map(rule => {
+      const override = documentType.rules.find(r => r.type === rule.type);
+      if (!override) return rule;
+      return {
+        type: rule.type,
+        keywords: [...rule.keywords, ...override.keywords],
+        patterns: [...rule.patterns, ...override.patterns],
+        priority: override.priority ?? rule.priority
+      };
+    });
+    const added = documentType.rules.filter(r => !pack.classificationRules.some(rule => rule.type === r.type));
+
+    return { ...pack, classificationRules: [...classificationRules, ...added] };
+  }
+
+  /**
+   * A loaded pack by name (the default pack when no name is given)
+   */
+  get(name = config.defaultRulePack) {
+    return this.packs.get(name) || null;
+  }
+
+  has(name) {
+    return this.packs.has(name);
+  }
+
+  names() {
+    return [...this.packs.keys()];
+  }
+
+  /**
+   * Pick the pack for a request: an explicit `rule_pack` wins, then the
+   * tenant's pack from TENANT_RULE_PACKS, then the default
+   */
+  resolve(name, tenant) {
+    if (name) return this.get(name);
+
+    const tenantPack = tenant ? config.tenantRulePacks[tenant] : null;
+    if (tenantPack) {
+      if (this.has(tenantPack)) return this.get(tenantPack);
+      logger.warn(`Tenant ${tenant} is mapped to unknown rule pack "${tenantPack}", using the default`);
+    }
+
+    return this.get();
+  }
+
+  /**
+   * Compile a rule pack sent with a request (rule dry-runs); it is used for
+   * that request only and never registered.
+   * Returns { pack, errors }
+   */
+  fromInline(raw) {
+    const { valid, errors } = this.validate(raw);
+    return valid ? { pack: this.compile(raw, null), errors } : { pack: null, errors };
+  }
+
+  /**
+   * The `{ name, version }` echoed in responses; inline packs are flagged
+   */
+  describe(pack) {
+    return pack.file ? { name: pack.name, version: pack.version } : { name: pack.name, version: pack.version, inline: true };
+  }
+
+  list() {
+    return [...this.packs.values()].map(pack => ({
+      name: pack.name,
+      version: pack.version,
+      description: pack.description,
+      file: pack.file,
+      loaded_at: pack.loadedAt,
+      default: pack.name === config.defaultRulePack,
+      monetary_keywords: pack.monetaryKeywords.length,
+      exclude_patterns: pack.excludePatterns.length,
+      classification_rules: pack.classificationRules.length,
+      document_types: pack.documentTypes.map(d => d.type)
+    }));
+  }
+
+  /**
+   * Reload packs when files in the directory change
+   */
+  watch() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(config.rulePacksDir, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.load(), this.reloadDebounce);
+        this.reloadTimer.unref();
+      });
+      this.watcher.unref();
+      logger.info(`Watching ${config.rulePacksDir} for rule pack changes`);
+    } catch (error) {
+      logger.warn(`Cannot watch rule pack directory: ${error.message}`);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = new RulePackService();
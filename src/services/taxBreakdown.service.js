@@ -0,0 +1,228 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+// A tax rate printed with its label: "CGST @ 9%", "GST (18%)", "VAT 5.5 %"
+const RATE = /(\d{1,2}(?:\.\d{1,3})?)\s*%/;
+
+class TaxBreakdownService {
+  constructor() {
+    // Tax components by label, most specific first; anything else is "tax"
+    this.components = [
+      { component: 'cgst', pattern: /\bcgst\b/i },
+      { component: 'sgst', pattern: /\bsgst\b/i },
+      { component: 'utgst', pattern: /\butgst\b/i },
+      { component: 'igst', pattern: /\bigst\b/i },
+      { component: 'cess', pattern: /\bcess\b/i },
+      { component: 'vat', pattern: /\bvat\b/i },
+      { component: 'gst', pattern: /\bgst\b/i }
+    ];
+
+    // Charged by the state (or union territory) alongside CGST on an
+    // intra-state bill, in equal halves
+    this.stateComponents = ['sgst', 'utgst'];
+  }
+
+  /**
+   * Break the classified `tax` amounts into components (CGST, SGST, IGST,
+   * VAT, ...) with their printed rate, the taxable base and a check that
+   * amount ≈ rate × base; then check the components against each other.
+   * Amounts in different currencies (per their `currency`) are not checked
+   * against each other, nor added into one total.
+   * Returns null when the bill has no tax amounts.
+   */
+  build(amounts) {
+    const taxes = amounts.filter(a => a.type === 'tax');
+    if (taxes.length === 0) return null;
+
+    const components = taxes.map(tax => {
+      const label = this.labelText(tax);
+      const rate = RATE.exec(label);
+      return {
+        component: (this.components.find(c => c.pattern.test(label)) || { component: 'tax' }).component,
+        label,
+        rate: rate ? parseFloat(rate[1]) : null,
+        amount: tax.value,
+        currency: tax.currency ?? null,
+        page: tax.page ?? null,
+        segment_index: tax.segment_index ?? null
+      };
+    });
+
+    const base = this.findBase(amounts, components);
+    for (const component of components) Object.assign(component, this.verify(component, base));
+
+    const checks = this.checkComponents(components);
+    const issues = [
+      ...components.filter(c => c.status === 'violated').map(c =>
+        `${c.component.toUpperCase()} ${c.rate}% of ${c.base} is ${c.expected_amount}, printed ${c.amount}`
+      ),
+      ...checks.filter(c => c.status === 'violated').map(c => c.reason)
+    ];
+
+    const mixed = this.currencies(components).length > 1;
+    const totalTax = mixed ? null : Math.round(components.reduce((sum, c) => sum + c.amount, 0) * 100) / 100;
+    if (mixed) logger.warn(`Tax components in ${this.currencies(components).join(', ')}: no total tax`);
+    logger.info(`Tax breakdown: ${components.length} component(s), ${totalTax} in total, ${issues.length} issue(s)`);
+
+    return {
+      components,
+      taxable_base: base,
+      total_tax: totalTax,
+      checks,
+      issues
+    };
+  }
+
+  /**
+   * The text that labelled a tax amount: its context span, or for amounts
+   * linked to a label on another line, the "'label' → 'value'" source
+   */
+  labelText(amount) {
+    if (amount.context_span) return amount.context_span.text.trim();
+    return (amount.source || '').replace(/^text: /, '');
+  }
+
+  /**
+   * What the rates apply to (see taxableBase). A bill with several rates for
+   * one component taxes its items at different slabs, so no single base
+   * applies.
+   * Returns { value, source, currency } or null
+   */
+  findBase(amounts, components) {
+    const slabs = new Set(components.filter(c => c.rate !== null).map(c => `${c.component}:${c.rate}`));
+    const kinds = new Set(components.filter(c => c.rate !== null).map(c => c.component));
+    if (slabs.size > kinds.size) {
+      logger.debug('Several rates for one tax component; no single taxable base');
+      return null;
+    }
+
+    return this.taxableBase(amounts);
+  }
+
+  /**
+   * The amount taxes are charged on: a printed taxable value, else the
+   * subtotal less its discounts and adjustments (by size), else the total
+   * less the taxes and round-off. A subtotal the total shows to be net of
+   * the deductions already ("Subtotal 900 ... Discount 100 ... GST 162 ...
+   * Total 1062") is used as printed. No base is returned when its amounts
+   * are in different currencies. PercentageService checks tax rates
+   * against the same base.
+   * Returns { value, source, currency } or null
+   */
+  taxableBase(amounts) {
+    const round = value => Math.round(value * 100) / 100;
+    const sum = items => items.reduce((acc, a) => acc + a.value, 0);
+
+    const taxable = amounts.find(a => a.type === 'taxable_value');
+    if (taxable) return { value: taxable.value, source: 'taxable_value', currency: taxable.currency ?? null };
+
+    const subtotal = amounts.find(a => a.type === 'subtotal');
+    const total = amounts.find(a => a.type === 'total_bill');
+    const taxes = amounts.filter(a => a.type === 'tax');
+    const roundOffs = amounts.filter(a => a.type === 'round_off');
+    const deductions = amounts.filter(a => ['discount', 'adjustment'].includes(a.type));
+
+    if (subtotal) {
+      if (this.currencies([subtotal, ...deductions]).length > 1) return null;
+
+      const currency = subtotal.currency ?? null;
+      const netOfDeductions = total && this.currencies([subtotal, total, ...taxes, ...roundOffs]).length <= 1 &&
+        this.equal(subtotal.value + sum(taxes) + sum(roundOffs), total.value);
+      if (deductions.length === 0 || netOfDeductions) return { value: subtotal.value, source: 'subtotal', currency };
+
+      const deducted = deductions.reduce((acc, a) => acc + Math.abs(a.value), 0);
+      return { value: round(subtotal.value - deducted), source: 'subtotal_less_deductions', currency };
+    }
+
+    if (total && this.currencies([total, ...taxes, ...roundOffs]).length <= 1) {
+      return {
+        value: round(total.value - sum(taxes) - sum(roundOffs)),
+        source: 'total_less_tax',
+        currency: total.currency ?? null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a component's amount against rate × base
+   */
+  verify(component, base) {
+    if (component.rate === null || !base) {
+      return { base: base ? base.value : null, expected_amount: null, status: 'not_checked' };
+    }
+    if (this.currencies([component, base]).length > 1) {
+      return { base: base.value, expected_amount: null, status: 'not_checked', reason: 'mixed_currency' };
+    }
+
+    const expected = Math.round(base.value * component.rate) / 100;
+    return {
+      base: base.value,
+      expected_amount: expected,
+      status: this.equal(expected, component.amount) ? 'satisfied' : 'violated'
+    };
+  }
+
+  /**
+   * Intra-state GST is CGST + SGST (or UTGST) in equal halves; inter-state
+   * GST is IGST alone. A bill charging both kinds is inconsistent. Amounts
+   * in different currencies aren't compared.
+   */
+  checkComponents(components) {
+    if (this.currencies(components).length > 1) {
+      return [{ check: 'components', status: 'not_checked', currencies: this.currencies(components), reason: 'mixed_currency' }];
+    }
+
+    const checks = [];
+    const sum = kinds => Math.round(
+      components.filter(c => kinds.includes(c.component)).reduce((acc, c) => acc + c.amount, 0) * 100
+    ) / 100;
+    const has = kinds => components.some(c => kinds.includes(c.component));
+    const rates = kinds => [...new Set(components.filter(c => kinds.includes(c.component) && c.rate !== null).map(c => c.rate))];
+
+    if (has(['cgst', ...this.stateComponents])) {
+      const central = sum(['cgst']);
+      const state = sum(this.stateComponents);
+      const values = { cgst: central, sgst: state };
+      let reason = null;
+
+      if (!has(['cgst']) || !has(this.stateComponents)) {
+        reason = `Only ${has(['cgst']) ? 'CGST' : 'SGST/UTGST'} charged: intra-state GST is CGST + SGST in equal halves`;
+      } else if (!this.equal(central, state)) {
+        reason = `CGST ${central} ≠ SGST ${state}`;
+      } else if (rates(['cgst']).join() !== rates(this.stateComponents).join()) {
+        reason = `CGST rate ${rates(['cgst']).join('/')}% ≠ SGST rate ${rates(this.stateComponents).join('/')}%`;
+      }
+
+      checks.push({ check: 'cgst_equals_sgst', status: reason ? 'violated' : 'satisfied', values, reason });
+    }
+
+    if (has(['igst'])) {
+      const mixed = has(['cgst', ...this.stateComponents]);
+      checks.push({
+        check: 'igst_alone',
+        status: mixed ? 'violated' : 'satisfied',
+        values: { igst: sum(['igst']), cgst: sum(['cgst']), sgst: sum(this.stateComponents) },
+        reason: mixed
+          ? 'IGST charged together with CGST/SGST: a bill is either inter-state (IGST) or intra-state (CGST + SGST)'
+          : null
+      });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Distinct currencies of amounts or components; unknown ones don't count
+   */
+  currencies(items) {
+    return [...new Set(items.map(i => i.currency).filter(Boolean))];
+  }
+
+  equal(a, b) {
+    return Math.abs(a - b) <= config.reconciliationTolerance;
+  }
+}
+
+module.exports = new TaxBreakdownService();
@@ -0,0 +1,168 @@
+const currencies = require('./currencies');
+
+const SMALL_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+  fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+  nineteen: 19, twenty: 20, thirty: 30, forty: 40, fourty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+// Indian (lakh/crore) and western scales, with the spellings seen on bills
+const SCALES = {
+  thousand: 1e3,
+  lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5,
+  million: 1e6,
+  crore: 1e7, crores: 1e7,
+  billion: 1e9
+};
+
+const HUNDRED = ['hundred', 'hundreds', 'hundered'];
+
+// Currency names and codes ("rupees", "dollars", "inr") -> ISO code
+const CURRENCY_WORDS = currencies.words;
+
+const SUB_UNITS = ['paise', 'paisa', 'cents', 'cent', 'pence'];
+
+class AmountInWords {
+  /**
+   * Find the first amount written in words across pages ([{ page, text }])
+   * Returns { text, value, currency, page } or null
+   */
+  findInPages(pages) {
+    for (const page of pages || []) {
+      if (!page.text) continue;
+      const found = this.find(page.text);
+      if (found) return { ...found, page: page.page };
+    }
+    return null;
+  }
+
+  /**
+   * Find the first amount-in-words phrase in a text, e.g.
+   * "Rupees Twelve Thousand Three Hundred Only" or
+   * "One Lakh Twenty-Five Thousand Rupees and Fifty Paise Only"
+   */
+  find(text) {
+    for (const line of text.split(/[\n\r|]+/)) {
+      const words = line.toLowerCase().match(/[a-z]+/g) || [];
+      const labelled = /\bin\s+words\b/i.test(line);
+
+      for (const run of this.wordRuns(words)) {
+        // A bare number word ("one room") isn't an amount; require a
+        // currency, "only", or an "in words" label
+        const anchored = labelled || run.some(w => w === 'only' || Object.hasOwn(CURRENCY_WORDS, w));
+        if (!anchored) continue;
+
+        const parsed = this.parseRun(run);
+        if (parsed) return { text: this.phraseText(line, run), ...parsed };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Split a line's words into runs of words that can belong to an amount phrase
+   */
+  wordRuns(words) {
+    const runs = [];
+    let current = [];
+
+    for (const word of words) {
+      if (this.isPhraseWord(word)) {
+        current.push(word);
+      } else {
+        if (current.length > 0) runs.push(current);
+        current = [];
+      }
+    }
+    if (current.length > 0) runs.push(current);
+
+    return runs.filter(run => run.some(w => this.isNumberWord(w)));
+  }
+
+  isNumberWord(word) {
+    return Object.hasOwn(SMALL_NUMBERS, word) || Object.hasOwn(SCALES, word) || HUNDRED.includes(word);
+  }
+
+  isPhraseWord(word) {
+    return this.isNumberWord(word) ||
+      word === 'and' || word === 'only' ||
+      Object.hasOwn(CURRENCY_WORDS, word) || SUB_UNITS.includes(word);
+  }
+
+  /**
+   * Turn a run into { value, currency }; sub-units ("fifty paise") become the fraction
+   */
+  parseRun(run) {
+    const subIndex = run.findIndex(w => SUB_UNITS.includes(w));
+    let main = run;
+    let fraction = 0;
+
+    if (subIndex !== -1) {
+      // The sub-unit amount is the number words directly before "paise"
+      let start = subIndex;
+      while (start > 0 && this.isNumberWord(run[start - 1])) start--;
+      fraction = this.wordsToNumber(run.slice(start, subIndex)) || 0;
+      if (fraction >= 100) return null;
+      main = run.slice(0, start);
+    }
+
+    const whole = this.wordsToNumber(main.filter(w => this.isNumberWord(w)));
+    if (whole === null && fraction === 0) return null;
+
+    const value = (whole || 0) + fraction / 100;
+    if (value <= 0) return null;
+
+    const currencyWord = run.find(w => Object.hasOwn(CURRENCY_WORDS, w));
+    return {
+      value: Math.round(value * 100) / 100,
+      currency: currencyWord ? CURRENCY_WORDS[currencyWord] : null
+    };
+  }
+
+  /**
+   * Convert number words to a number; null when there are none
+   */
+  wordsToNumber(words) {
+    if (words.length === 0) return null;
+
+    let total = 0;
+    let current = 0;
+    let lastScale = Infinity;
+
+    for (const word of words) {
+      if (Object.hasOwn(SMALL_NUMBERS, word)) {
+        current += SMALL_NUMBERS[word];
+      } else if (HUNDRED.includes(word)) {
+        current = (current || 1) * 100;
+      } else if (Object.hasOwn(SCALES, word)) {
+        const scale = SCALES[word];
+        if (scale > lastScale) {
+          // "Five Thousand Crore": the larger scale multiplies everything so far
+          total = (total + current) * scale;
+        } else {
+          total += (current || 1) * scale;
+        }
+        current = 0;
+        lastScale = scale;
+      }
+    }
+
+    return total + current;
+  }
+
+  /**
+   * The phrase as printed, from its first to its last word
+   */
+  phraseText(line, run) {
+    const pattern = new RegExp(
+      `\\b${run.map(w => `${w}\\b`).join('[^a-z]+')}`,
+      'i'
+    );
+    const match = line.match(pattern);
+    return match ? match[0].trim() : run.join(' ');
+  }
+}
+
+module.exports = new AmountInWords();
@@ -0,0 +1,234 @@
+const config = require('../config/config');
+
+// Currencies we recognise, with the symbols and words that mark them on a
+// bill. Every ISO code is a marker too. A symbol several currencies share
+// ("$", "¥") belongs to the first one listing it unless the document's own
+// currency uses it (see markerCode). "RM" and "Dh" are left out: on
+// hospital bills they are more often a room or a doctor than a currency.
+const CURRENCIES = [
+  { code: 'INR', symbols: ['₹', 'Rs.', 'Rs'], words: ['rupees', 'rupee'] },
+  { code: 'USD', symbols: ['US$', '$'], words: ['dollars', 'dollar'] },
+  { code: 'EUR', symbols: ['€'], words: ['euros', 'euro'] },
+  { code: 'GBP', symbols: ['£'], words: ['pounds', 'pound'] },
+  { code: 'AED', symbols: ['د.إ', 'Dhs'], words: ['dirhams', 'dirham'] },
+  { code: 'SAR', symbols: ['﷼'], words: ['riyals', 'riyal'] },
+  { code: 'QAR', symbols: [], words: [] },
+  { code: 'OMR', symbols: [], words: [] },
+  { code: 'KWD', symbols: [], words: [] },
+  { code: 'SGD', symbols: ['S$', '$'], words: [] },
+  { code: 'AUD', symbols: ['A$', '$'], words: [] },
+  { code: 'CAD', symbols: ['CA$', 'C$', '$'], words: [] },
+  { code: 'HKD', symbols: ['HK$', '$'], words: [] },
+  { code: 'THB', symbols: ['฿'], words: ['baht'] },
+  { code: 'MYR', symbols: [], words: ['ringgit'] },
+  { code: 'IDR', symbols: ['Rp'], words: ['rupiah'] },
+  { code: 'JPY', symbols: ['¥', '円'], words: ['yen'] },
+  { code: 'CNY', symbols: ['CN¥', 'RMB', '元', '¥'], words: ['yuan', 'renminbi'] },
+  { code: 'KRW', symbols: ['₩'], words: ['won'] },
+  { code: 'LKR', symbols: [], words: [] },
+  { code: 'NPR', symbols: [], words: [] },
+  { code: 'BDT', symbols: ['৳', 'Tk'], words: ['taka'] },
+  { code: 'PKR', symbols: [], words: [] },
+  { code: 'CHF', symbols: [], words: ['francs', 'franc'] },
+  { code: 'ZAR', symbols: [], words: ['rand'] },
+  { code: 'NGN', symbols: ['₦'], words: ['naira'] },
+  { code: 'KES', symbols: ['KSh'], words: ['shillings', 'shilling'] }
+];
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Letter markers ("Rs", "AED", "rupees") must not run into other letters
+const alternation = markers => [...new Set(markers)]
+  .sort((a, b) => b.length - a.length)
+  .map(m => `${/^[a-z]/i.test(m) ? '(?<![a-z])' : ''}${escape(m)}${/[a-z.]$/i.test(m) ? '(?![a-z])' : ''}`)
+  .join('|');
+
+const MARKERS = CURRENCIES.flatMap(c => [...c.symbols, c.code]);
+const WORDS = CURRENCIES.flatMap(c => c.words);
+
+// A currency marker as it sits next to an amount ("Rs.", "AED", "S$");
+// no capture groups, for use inside the amount patterns
+const MARKER_PATTERN = alternation(MARKERS);
+
+class Currencies {
+  constructor() {
+    this.currencies = CURRENCIES;
+    this.markerPattern = MARKER_PATTERN;
+    this.codes = CURRENCIES.map(c => c.code);
+
+    // Word -> code, for amounts written in words ("Rupees ... Only")
+    this.words = Object.fromEntries(
+      CURRENCIES.flatMap(c => [...c.words, ...c.symbols.filter(s => /^[a-z]+$/i.test(s)), c.code]
+        .map(w => [w.toLowerCase(), c.code]))
+    );
+
+    this.markerCodes = new Map();
+    for (const c of CURRENCIES) {
+      for (const marker of [...c.symbols, c.code, ...c.words]) {
+        const key = marker.toLowerCase();
+        if (!this.markerCodes.has(key)) this.markerCodes.set(key, c.code);
+      }
+    }
+
+    this.marker = new RegExp(`(${MARKER_PATTERN})`, 'i');
+    this.anyMarker = new RegExp(`(${alternation([...MARKERS, ...WORDS])})`, 'gi');
+    this.markerBefore = new RegExp(`(${MARKER_PATTERN})\\s*[-−(]?\\s*$`, 'i');
+    this.markerAfter = new RegExp(`^\\s*\\)?\\s*(${alternation([...MARKERS, ...WORDS])})`, 'i');
+  }
+
+  isSupported(code) {
+    return this.codes.includes(code);
+  }
+
+  hasMarker(text) {
+    return this.marker.test(text);
+  }
+
+  /**
+   * The currency a marker stands for; a shared symbol ("$") goes to the
+   * document's currency when that currency uses it
+   */
+  markerCode(marker, documentCode = null) {
+    const key = marker.toLowerCase();
+    const document = CURRENCIES.find(c => c.code === documentCode);
+    if (document && document.symbols.some(s => s.toLowerCase() === key)) return document.code;
+    return this.markerCodes.get(key) || null;
+  }
+
+  /**
+   * Document currency by vote over the currency markers in the text. Symbols
+   * count anywhere; ISO codes and words ("won", "rand") only next to an
+   * amount, since they are ordinary words too. Shared symbols ("$") count
+   * for the currency naming them most explicitly (S$, SGD), otherwise for
+   * their default. Confidence is the winner's share of votes; with no
+   * marker at all the configured default is used (confidence 0).
+   * Returns { code, confidence, source, counts }
+   */
+  detect(text) {
+    const counts = {};
+    const shared = {};
+
+    for (const match of (text || '').matchAll(this.anyMarker)) {
+      const marker = match[1];
+      if (this.markerSource(marker) !== 'symbol' && !this.besideAmount(text, match.index, match.index + marker.length)) {
+        continue;
+      }
+      const owners = CURRENCIES.filter(c => c.symbols.includes(marker));
+      if (owners.length > 1) {
+        shared[marker] = (shared[marker] || 0) + 1;
+        continue;
+      }
+      const code = this.markerCode(marker);
+      counts[code] = (counts[code] || 0) + 1;
+    }
+
+    for (const [marker, count] of Object.entries(shared)) {
+      const owners = CURRENCIES.filter(c => c.symbols.includes(marker)).map(c => c.code);
+      const named = owners.filter(code => counts[code]).sort((a, b) => counts[b] - counts[a]);
+      const code = named[0] || owners[0];
+      counts[code] = (counts[code] || 0) + count;
+    }
+
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+
+    if (total === 0) {
+      return { code: config.defaultCurrency, confidence: 0, source: 'default', counts };
+    }
+
+    return {
+      code: ranked[0][0],
+      confidence: parseFloat((ranked[0][1] / total).toFixed(2)),
+      source: 'text',
+      counts
+    };
+  }
+
+  /**
+   * Whether the marker at [start, end) touches a number ("CAD 500", "500 won")
+   */
+  besideAmount(text, start, end) {
+    return /^\s*[-−(]?\s*\d/.test(text.slice(end, end + 4)) || /\d\)?\s*$/.test(text.slice(Math.max(0, start - 4), start));
+  }
+
+  /**
+   * Document currency by vote over the currencies the amounts carry their
+   * own marker for (see attribute), so a marked number that isn't one of
+   * the bill's amounts ("Diagnosis: CAD 500") can't outvote them. A tie
+   * goes to the text's currency (`fallback`, from detect), which also
+   * stands when no amount has a marker.
+   * Returns { code, confidence, source, counts }
+   */
+  fromAmounts(amounts, fallback) {
+    const counts = {};
+    for (const amount of amounts) {
+      const source = amount.currency_evidence ? amount.currency_evidence.source : null;
+      if (!amount.currency || source === 'document' || source === 'default') continue;
+      counts[amount.currency] = (counts[amount.currency] || 0) + 1;
+    }
+
+    const ranked = Object.entries(counts)
+      .sort((a, b) => b[1] - a[1] || (b[0] === fallback.code) - (a[0] === fallback.code));
+    const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return fallback;
+
+    return {
+      code: ranked[0][0],
+      confidence: parseFloat((ranked[0][1] / total).toFixed(2)),
+      source: 'amounts',
+      counts
+    };
+  }
+
+  /**
+   * Currency of the amount at [start, end) in a text: a marker inside the
+   * span ("-Rs 200"), just before it ("AED 1,200") or just after it
+   * ("1,200 USD", "500 dollars"). Amounts with no marker of their own take
+   * the document's currency.
+   * Returns { code, evidence: { source, text } }
+   */
+  forSpan(text, start, end, document) {
+    const inside = text.slice(start, end).match(this.marker);
+    const before = text.slice(Math.max(0, start - 12), start).match(this.markerBefore);
+    const after = text.slice(end, end + 16).match(this.markerAfter);
+    const marker = (inside || before || after || [])[1];
+
+    if (marker) {
+      return {
+        code: this.markerCode(marker, document.code),
+        evidence: { source: this.markerSource(marker), text: marker }
+      };
+    }
+
+    return this.fromDocument(document);
+  }
+
+  markerSource(marker) {
+    if (this.codes.includes(marker.toUpperCase())) return 'code';
+    return WORDS.includes(marker.toLowerCase()) ? 'word' : 'symbol';
+  }
+
+  fromDocument(document) {
+    return {
+      code: document.code,
+      evidence: { source: document.source === 'default' ? 'default' : 'document', text: null }
+    };
+  }
+
+  /**
+   * Give each amount its own currency, read around its offsets in its
+   * page's text; amounts without offsets (inferred) take the document's
+   */
+  attribute(amounts, pages, document) {
+    return amounts.map(amount => {
+      const page = (pages || []).find(p => p.page === amount.page) || (pages || [])[0];
+      const found = page && page.text && amount.char_start !== null && amount.char_start !== undefined
+        ? this.forSpan(page.text, amount.char_start, amount.char_end, document)
+        : this.fromDocument(document);
+
+      return { ...amount, currency: found.code, currency_evidence: found.evidence };
+    });
+  }
+}
+
+module.exports = new Currencies();
@@ -0,0 +1,88 @@
+const config = require('../config/config');
+
+// Characters OCR mistakes for one another ("Tota1", "Balanoe", "Dlscount");
+// swapping one for the other costs half an edit
+const CONFUSABLE_PAIRS = ['0o', '1l', '1i', 'li', '5s', '8b', '2z', 'ce', 'co', 'eo', 'uv', 'nh', 'gq'];
+
+class FuzzyMatch {
+  constructor() {
+    this.confusables = new Set(CONFUSABLE_PAIRS.flatMap(([a, b]) => [a + b, b + a]));
+  }
+
+  /**
+   * Find a keyword in a text, tolerating OCR damage
+   * Returns { keyword, text, distance } (text as found) or null. An exact
+   * substring has distance 0; otherwise runs of as many words as the keyword
+   * are compared, within `budget` edits (see allowedDistance)
+   */
+  findKeyword(text, keyword, budget = config.fuzzyMaxDistance) {
+    const lowerText = text.toLowerCase();
+    const lowerKeyword = keyword.toLowerCase();
+
+    if (lowerText.includes(lowerKeyword)) return { keyword, text: keyword, distance: 0 };
+
+    // Keywords with punctuation ("less:") are only matched as written
+    if (!(budget > 0) || !/^[a-z0-9 -]+$/.test(lowerKeyword)) return null;
+
+    const allowed = this.allowedDistance(lowerKeyword, budget);
+    const keywordWords = lowerKeyword.split(/[\s-]+/).filter(Boolean);
+    const target = keywordWords.join(' ');
+    const words = lowerText.match(/[a-z0-9]+/g) || [];
+    let best = null;
+
+    for (let i = 0; i + keywordWords.length <= words.length; i++) {
+      const run = words.slice(i, i + keywordWords.length);
+      // A number is never a garbled label
+      if (!run.some(w => /[a-z]/.test(w))) continue;
+
+      const candidate = run.join(' ');
+      const distance = this.distance(candidate, target);
+      if (distance <= allowed && (!best || distance < best.distance)) {
+        best = { keyword, text: candidate, distance };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Short keywords ("tax", "paid") only tolerate half the budget, so with
+   * the default of 1 they allow a confusable swap but no real typo
+   */
+  allowedDistance(keyword, budget) {
+    return keyword.replace(/[\s-]/g, '').length >= 6 ? budget : budget / 2;
+  }
+
+  /**
+   * Edit distance with adjacent transpositions, where confusable
+   * substitutions cost 0.5
+   */
+  distance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+      for (let j = 1; j < cols; j++) {
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + this.substitutionCost(a[i - 1], b[j - 1])
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[rows - 1][cols - 1];
+  }
+
+  substitutionCost(a, b) {
+    if (a === b) return 0;
+    return this.confusables.has(a + b) ? 0.5 : 1;
+  }
+}
+
+module.exports = new FuzzyMatch();
@@ -0,0 +1,285 @@
+const currencies = require('./currencies');
+
+// Number formats we can be asked for explicitly
+const LOCALES = {
+  'en-US': { decimal: '.', groups: [','] },
+  'en-IN': { decimal: '.', groups: [','] },
+  'de-DE': { decimal: ',', groups: ['.'] },
+  'fr-FR': { decimal: ',', groups: [' ', '.'] },
+  'de-CH': { decimal: '.', groups: ["'", '’'] }
+};
+
+// A number as printed on a bill, including OCR look-alikes (l, I, O) and
+// separators. Separators must sit between digits; a space only counts as a
+// separator when it is followed by exactly three digits ("1 234,56").
+const AMOUNT_PATTERN = "[l1IO0-9](?:[l1IO0-9]|[.,'’](?=[l1IO0-9])| (?=[l1IO0-9]{3}(?![l1IO0-9])))*";
+
+// AMOUNT_PATTERN with the ways bills mark a negative: a leading minus
+// ("-200"), accounting parentheses ("(500.00)") and a credit suffix ("500 CR").
+// The minus must touch the digits so "Paid :- 500" stays positive.
+const SIGNED_AMOUNT_PATTERN =
+  `(?:[-−](?=[l1IO0-9])|\\(\\s*(?=[^)]*\\)))?${AMOUNT_PATTERN}(?:\\s*\\))?(?:\\s*CR\\b\\.?)?`;
+
+// A bare amount right after a summary label, for lines OCR merged without
+// colons or currency ("Total 1200 Paid 1000 Due 200"). A tax rate may sit
+// between them ("CGST @ 9% 90.00", "GST (18%) 180"). The amount is the one
+// capture group and must contain a digit; percentages ("GST 18%") and dates
+// ("Due 12/03/2024") are skipped.
+const LABELLED_AMOUNT_PATTERN =
+  '\\b(?:sub[\\s-]*total|total|paid|due|balance|discount|tax|gst|cgst|sgst|utgst|igst|vat|cess|refund|credit|adjust(?:ment)?|advance|deposit|payable|round(?:ing|ed)?[\\s-]*off|paise)' +
+  '\\.?\\s+(?:@?\\s*\\(?\\s*\\d{1,2}(?:\\.\\d{1,3})?\\s*%\\s*\\)?\\s+)?' +
+  `(?=[-−(]?\\s*[lIO]?\\d)(${SIGNED_AMOUNT_PATTERN})(?![\\d%]|\\s*%|[/.,]\\d)`;
+
+// A minus before the digits, on either side of a currency ("-Rs 200", "AED -50")
+const LEADING_MINUS = new RegExp(
+  `^(?:(?:${currencies.markerPattern})\\s*)?[-−]\\s*(?:(?:${currencies.markerPattern})\\s*)?\\d`,
+  'i'
+);
+
+class NumberFormat {
+  constructor() {
+    this.locales = LOCALES;
+    this.amountPattern = AMOUNT_PATTERN;
+    this.signedAmountPattern = SIGNED_AMOUNT_PATTERN;
+    this.labelledAmountPattern = LABELLED_AMOUNT_PATTERN;
+  }
+
+  isSupportedLocale(locale) {
+    return locale === 'auto' || Object.prototype.hasOwnProperty.call(LOCALES, locale);
+  }
+
+  /**
+   * Work out whether a raw token is marked negative, and how
+   * Returns { negative, marker } with marker 'minus', 'parentheses' or 'credit'
+   */
+  readSign(token) {
+    const str = String(token || '').trim();
+
+    if (/^\(.*\)$/.test(str)) return { negative: true, marker: 'parentheses' };
+    if (LEADING_MINUS.test(str)) {
+      return { negative: true, marker: 'minus' };
+    }
+    if (/\d\s*cr\b\.?$/i.test(str)) return { negative: true, marker: 'credit' };
+
+    return { negative: false, marker: null };
+  }
+
+  /**
+   * Parse a token that may carry a sign marker (see readSign); the value is
+   * negated when it does
+   */
+  parseSigned(token, options = {}) {
+    const { negative, marker } = this.readSign(token);
+    const parsed = this.parse(String(token).replace(/^[^0-9]+|[^0-9]+$/g, ''), options);
+    if (!parsed || !negative) return parsed;
+
+    return {
+      ...parsed,
+      value: -parsed.value,
+      normalized: `-${parsed.normalized}`,
+      sign: marker
+    };
+  }
+
+  /**
+   * Parse a cleaned number string (digits and separators only)
+   * `hint` is the document-level format from detectFormat, used to settle
+   * ambiguous tokens such as "1,234"
+   */
+  parse(str, { locale = 'auto', hint = null } = {}) {
+    if (!str || !/\d/.test(str)) return null;
+
+    if (locale !== 'auto' && LOCALES[locale]) {
+      const strict = this.parseWithLocale(str, locale);
+      if (strict) return strict;
+
+      const fallback = this.parseAuto(str, hint);
+      if (fallback) {
+        fallback.warnings = [`separators do not match locale ${locale}`];
+      }
+      return fallback;
+    }
+
+    return this.parseAuto(str, hint);
+  }
+
+  /**
+   * Parse strictly by a locale's separators; null if the string doesn't fit
+   */
+  parseWithLocale(str, locale) {
+    const { decimal, groups } = LOCALES[locale];
+    const separators = [...new Set(str.replace(/\d/g, ''))];
+
+    if (separators.some(sep => sep !== decimal && !groups.includes(sep))) return null;
+
+    const decimalCount = str.split(decimal).length - 1;
+    if (decimalCount > 1) return null;
+
+    let intPart = str;
+    let fracPart = '';
+    if (decimalCount === 1) {
+      [intPart, fracPart] = str.split(decimal);
+      // Grouping after the decimal point means the locale is wrong
+      if (!/^\d+$/.test(fracPart)) return null;
+    }
+
+    const groupSeparator = separators.find(sep => groups.includes(sep)) || null;
+
+    return this.build(intPart, fracPart, {
+      locale,
+      decimal_separator: decimalCount === 1 ? decimal : null,
+      group_separator: groupSeparator,
+      ambiguous: false,
+      alternatives: []
+    });
+  }
+
+  /**
+   * Infer decimal and grouping separators from the string itself
+   */
+  parseAuto(str, hint) {
+    const positions = [];
+    for (let i = 0; i < str.length; i++) {
+      if (!/\d/.test(str[i])) positions.push({ char: str[i], index: i });
+    }
+
+    const base = { locale: 'auto', ambiguous: false, alternatives: [] };
+
+    if (positions.length === 0) {
+      return this.build(str, '', { ...base, decimal_separator: null, group_separator: null });
+    }
+
+    const chars = [...new Set(positions.map(p => p.char))];
+    const last = positions[positions.length - 1];
+    const digitsAfterLast = str.length - last.index - 1;
+    const lastCount = positions.filter(p => p.char === last.char).length;
+
+    // Two kinds of separator: the last one is the decimal point if it
+    // appears once, e.g. "1.234,56" or "1,234.56" or "1 234,56"
+    if (chars.length > 1) {
+      if (lastCount === 1 && ['.', ','].includes(last.char)) {
+        return this.split(str, last.char, chars.filter(c => c !== last.char)[0], base);
+      }
+      // "1'234'567" style with no decimals left over
+      return this.split(str, null, chars[0], base);
+    }
+
+    const sep = chars[0];
+
+    // Spaces and apostrophes only ever group digits
+    if (sep === ' ' || sep === "'" || sep === '’') {
+      return this.split(str, null, sep, base);
+    }
+
+    // Repeated separator can only be grouping: "1,23,456" or "1.234.567"
+    if (lastCount > 1) {
+      return this.split(str, null, sep, base);
+    }
+
+    // A single "." or "," not followed by three digits is a decimal point
+    if (digitsAfterLast !== 3) {
+      return this.split(str, sep, null, base);
+    }
+
+    // "1,234" or "1.234": thousands or three decimals? Prefer what the rest
+    // of the document does, else grouping (3-decimal amounts are rare)
+    const asGroup = this.split(str, null, sep, base);
+    const asDecimal = this.split(str, sep, null, base);
+    const preferDecimal = hint && hint.decimal_separator === sep;
+
+    const chosen = preferDecimal ? asDecimal : asGroup;
+    const other = preferDecimal ? asGroup : asDecimal;
+    chosen.ambiguous = true;
+    chosen.alternatives = [other.value];
+    return chosen;
+  }
+
+  /**
+   * Split into integer/fraction parts by the given separators
+   */
+  split(str, decimalSeparator, groupSeparator, base) {
+    let intPart = str;
+    let fracPart = '';
+
+    if (decimalSeparator) {
+      const index = str.lastIndexOf(decimalSeparator);
+      intPart = str.substring(0, index);
+      fracPart = str.substring(index + 1);
+    }
+
+    return this.build(intPart, fracPart, {
+      ...base,
+      decimal_separator: decimalSeparator,
+      group_separator: groupSeparator
+    });
+  }
+
+  build(intPart, fracPart, format) {
+    const digits = intPart.replace(/\D/g, '');
+    const value = parseFloat(`${digits || '0'}.${fracPart.replace(/\D/g, '') || '0'}`);
+
+    if (!Number.isFinite(value)) return null;
+
+    return {
+      value,
+      normalized: fracPart ? `${digits}.${fracPart.replace(/\D/g, '')}` : digits,
+      ...format,
+      grouping: format.group_separator ? this.groupingStyle(intPart, format.group_separator) : 'none'
+    };
+  }
+
+  /**
+   * Classify digit grouping: Indian lakh/crore (1,23,456), western (1,234,567) or irregular
+   */
+  groupingStyle(intPart, sep) {
+    const escaped = sep.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (new RegExp(`^\\d{1,2}(?:${escaped}\\d{2})+${escaped}\\d{3}$`).test(intPart)) return 'indian';
+    if (new RegExp(`^\\d{1,3}(?:${escaped}\\d{3})+$`).test(intPart)) return 'western';
+    return 'irregular';
+  }
+
+  /**
+   * Work out the document's number format from its unambiguous tokens
+   */
+  detectFormat(strings) {
+    const decimals = { '.': 0, ',': 0 };
+    const groups = {};
+    let indian = 0;
+
+    for (const str of strings) {
+      const parsed = str ? this.parseAuto(str, null) : null;
+      if (!parsed || parsed.ambiguous) continue;
+
+      if (parsed.decimal_separator) decimals[parsed.decimal_separator]++;
+      if (parsed.group_separator) {
+        groups[parsed.group_separator] = (groups[parsed.group_separator] || 0) + 1;
+      }
+      if (parsed.grouping === 'indian') indian++;
+    }
+
+    let decimalSeparator = null;
+    if (decimals['.'] !== decimals[',']) {
+      decimalSeparator = decimals['.'] > decimals[','] ? '.' : ',';
+    }
+
+    const groupSeparator = Object.keys(groups).sort((a, b) => groups[b] - groups[a])[0] || null;
+
+    return {
+      decimal_separator: decimalSeparator,
+      group_separator: groupSeparator,
+      locale: this.guessLocale(decimalSeparator, groupSeparator, indian > 0)
+    };
+  }
+
+  guessLocale(decimalSeparator, groupSeparator, indian) {
+    if (groupSeparator === "'" || groupSeparator === '’') return 'de-CH';
+    if (decimalSeparator === ',' || groupSeparator === '.') {
+      return groupSeparator === ' ' ? 'fr-FR' : 'de-DE';
+    }
+    if (indian) return 'en-IN';
+    if (decimalSeparator === '.' || groupSeparator === ',') return 'en-US';
+    return null;
+  }
+}
+
+module.exports = new NumberFormat();
\ No newline at end of file
@@ -1,4 +1,5 @@
 const config = require('../config/config');
+const numberFormat = require('./numberFormat');
 
 class Validators {
   /**
@@ -54,7 +55,7 @@ class Validators {
   }
 
   /**
-   * Validate base64 image
+   * Validate base64 image or PDF
    */
   validateBase64Image(base64String) {
     const errors = [];
@@ -65,10 +66,11 @@ class Validators {
     }
 
     // Check format
-    const base64Regex = /^data:image\/(jpeg|jpg|png|bmp);base64,/;
+    const base64Regex = /^data:(image\/(jpeg|jpg|png|bmp)|application\/pdf);base64,/;
     if (!base64Regex.test(base64String)) {
       errors.push(
-        'Invalid base64 format. Expected: data:image/[jpeg|jpg|png|bmp];base64,...'
+        'Invalid base64 format. Expected: data:image/[jpeg|jpg|png|bmp];base64,... ' +
+        'or data:application/pdf;base64,...'
       );
     }
 
@@ -84,6 +86,87 @@ class Validators {
     };
   }
 
+  /**
+   * Validate a single base64 image or an array of them (one per page)
+   */
+  validateBase64Images(images) {
+    const list = Array.isArray(images) ? images : [images];
+    const errors = [];
+
+    if (list.length === 0) {
+      errors.push('image_base64 array cannot be empty');
+    } else if (list.length > config.maxFilesPerRequest) {
+      errors.push(`Too many images (max ${config.maxFilesPerRequest})`);
+    }
+
+    list.forEach((image, index) => {
+      const validation = this.validateBase64Image(image);
+      const prefix = list.length > 1 ? `image_base64[${index}]: ` : '';
+      errors.push(...validation.errors.map(e => prefix + e));
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Validate image preprocessing options
+   */
+  validatePreprocessingOptions(profile, compare) {
+    const errors = [];
+
+    if (profile !== undefined) {
+      const profiles = Object.keys(config.preprocessingProfiles);
+      if (typeof profile !== 'string' || !profiles.includes(profile)) {
+        errors.push(`preprocessing_profile must be one of: ${profiles.join(', ')}`);
+      }
+    }
+
+    // Multipart fields arrive as strings
+    if (compare !== undefined && ![true, false, 'true', 'false'].includes(compare)) {
+      errors.push('compare_preprocessing must be a boolean');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Validate the number format locale
+   */
+  validateLocale(locale) {
+    const errors = [];
+
+    if (locale !== undefined && (typeof locale !== 'string' || !numberFormat.isSupportedLocale(locale))) {
+      errors.push(`locale must be one of: auto, ${Object.keys(numberFormat.locales).join(', ')}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Validate the requested rule pack against the loaded ones
+   */
+  validateRulePack(name, available, field = 'rule_pack') {
+    const errors = [];
+
+    if (name !== undefined && (typeof name !== 'string' || !available.includes(name))) {
+      errors.push(`${field} must be one of: ${available.join(', ')}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+
   /**
    * Validate raw tokens array
    */
@@ -97,10 +180,12 @@ class Validators {
     } else if (tokens.length > 100) {
       errors.push('Too many tokens (max 100)');
     } else {
-      // Check that all tokens are strings
-      const invalidTokens = tokens.filter(t => typeof t !== 'string');
+      // Tokens are strings, or objects with a string `token` (as returned by /api/extract)
+      const invalidTokens = tokens.filter(t =>
+        typeof t !== 'string' && !(t && typeof t === 'object' && typeof t.token === 'string')
+      );
       if (invalidTokens.length > 0) {
-        errors.push('All tokens must be strings');
+        errors.push('All tokens must be strings or objects with a string token');
       }
     }
 
@@ -125,10 +210,10 @@ class Validators {
     } else {
       // Check that all amounts are valid numbers
       const invalidAmounts = amounts.filter(
-        a => typeof a !== 'number' || !Number.isFinite(a) || a < 0
+        a => typeof a !== 'number' || !Number.isFinite(a)
       );
       if (invalidAmounts.length > 0) {
-        errors.push('All amounts must be positive finite numbers');
+        errors.push('All amounts must be finite numbers (negative for refunds and credits)');
       }
     }
 
@@ -0,0 +1,1002 @@
+/**
+ * Behavior checks for the services; runs them directly, no server or OCR data needed
+ * Run with: node tests/behavior-test.js
+ */
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+const config = require('../src/config/config');
+const logger = require('../src/utils/logger');
+const numberFormat = require('../src/utils/numberFormat');
+const currencies = require('../src/utils/currencies');
+const amountInWords = require('../src/utils/amountInWords');
+const validators = require('../src/utils/validators');
+const fuzzyMatch = require('../src/utils/fuzzyMatch');
+const errorHandler = require('../src/middleware/errorHandler');
+const detectionRoutes = require('../src/routes/detection.routes');
+const ocrService = require('../src/services/ocr.service');
+const ocrWorkerPool = require('../src/services/ocrWorkerPool.service');
+const normalizerService = require('../src/services/normalizer.service');
+const pdfService = require('../src/services/pdf.service');
+const preprocessService = require('../src/services/preprocess.service');
+const lineItemService = require('../src/services/lineItem.service');
+const reconciliationService = require('../src/services/reconciliation.service');
+const classifierService = require('../src/services/classifier.service');
+const labelAssociationService = require('../src/services/labelAssociation.service');
+const documentFieldsService = require('../src/services/documentFields.service');
+const percentageService = require('../src/services/percentage.service');
+const taxBreakdownService = require('../src/services/taxBreakdown.service');
+const rulePackService = require('../src/services/rulePack.service');
+const documentTypeService = require('../src/services/documentType.service');
+const ruleDryRunService = require('../src/services/ruleDryRun.service');
+
+// The services log every step; only the check results are of interest here
+logger.level = -1;
+
+// Amounts as the classifier returns them
+const amount = (type, value, extra = {}) => ({ type, value, page: 1, segment_index: null, ...extra });
+
+// A pool of its own whose workers run `recognize` instead of Tesseract;
+// `terminated` lists the ids of the workers it shut down
+const testPool = (recognize = async () => ({ data: { text: '' } })) => {
+  const pool = new ocrWorkerPool.constructor();
+  pool.terminated = [];
+  pool.createTesseractWorker = async (language, id) => ({
+    recognize,
+    terminate: async () => { pool.terminated.push(id); }
+  });
+  return pool;
+};
+
+// Run `run` with some config values changed, restoring them afterwards
+const withConfig = async (overrides, run) => {
+  const saved = Object.fromEntries(Object.keys(overrides).map(key => [key, config[key]]));
+  Object.assign(config, overrides);
+  try {
+    return await run();
+  } finally {
+    Object.assign(config, saved);
+  }
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Replace some of a service's methods for `run`, restoring them afterwards
+const withStubs = async (service, stubs, run) => {
+  Object.assign(service, stubs);
+  try {
+    return await run();
+  } finally {
+    for (const name of Object.keys(stubs)) delete service[name];
+  }
+};
+
+// A blank PNG, for OCR stubs that ignore the pixels
+const blankImage = (width = 400, height = 200) =>
+  sharp({ create: { width, height, channels: 3, background: 'white' } }).png().toBuffer();
+
+// Tesseract's result for `lines`: one word every 60px, one line every 20px
+const recognized = (lines, confidence = 90) => ({
+  data: {
+    text: lines.join('\n'),
+    confidence,
+    blocks: [{
+      paragraphs: [{
+        lines: lines.map((line, row) => ({
+          text: line,
+          words: line.split(' ').map((word, column) => ({
+            text: word,
+            confidence,
+            bbox: { x0: column * 60, y0: row * 20, x1: column * 60 + 50, y1: row * 20 + 15 }
+          }))
+        }))
+      }]
+    }]
+  }
+});
+
+// Serve the API routes on a free port for `run(baseUrl)`
+const withRoutes = async run => {
+  const server = express().use(express.json()).use('/api', detectionRoutes).use(errorHandler).listen(0);
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}/api`);
+  } finally {
+    server.close();
+  }
+};
+
+const postJson = (url, body) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+}).then(res => res.json());
+
+// A one-page PDF whose text layer holds `lines`
+const textPdf = lines => {
+  const content = lines.map((line, i) => `BT /F1 12 Tf 72 ${720 - i * 20} Td (${line}) Tj ET`).join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+// The HTTP status the error handler answers `error` with
+const statusFor = error => {
+  let status = null;
+  const res = { status: code => { status = code; return res; }, json: () => res };
+  errorHandler(error, { path: '/test', method: 'POST' }, res, () => {});
+  return status;
+};
+
+// The shipped pack as an inline copy, changed by `edit`
+const inlinePack = edit => {
+  const raw = JSON.parse(fs.readFileSync(path.join(__dirname, '../rule-packs/default.json'), 'utf8'));
+  edit(raw);
+  return rulePackService.fromInline(raw);
+};
+
+const checks = [
+  {
+    name: 'OCR pool: a job waiting longer than the queue timeout fails',
+    run: () => withConfig({ ocrPoolSize: 1, ocrPoolQueueTimeout: 20, ocrPoolHealthCheckInterval: 0 }, async () => {
+      const pool = testPool();
+      const held = await pool.acquire('eng');
+      await assert.rejects(pool.acquire('eng'), /Timed out waiting for an OCR worker after 20ms/);
+      assert.strictEqual(pool.getStats().eng.queued, 0);
+
+      await pool.release(held);
+      await pool.drain();
+    })
+  },
+  {
+    name: 'OCR pool: worn-out and failed workers are replaced',
+    run: () => withConfig({ ocrPoolSize: 1, ocrPoolMaxJobsPerWorker: 2, ocrPoolHealthCheckInterval: 0 }, async () => {
+      let fail = false;
+      const pool = testPool(async () => {
+        if (fail) throw new Error('worker crashed');
+        return { data: { text: 'ok' } };
+      });
+
+      await pool.recognize(Buffer.from('image'));
+      await pool.recognize(Buffer.from('image'));
+      assert.deepStrictEqual(pool.terminated, [1]);
+
+      fail = true;
+      await assert.rejects(pool.recognize(Buffer.from('image')), /worker crashed/);
+      assert.deepStrictEqual(pool.terminated, [1, 2]);
+      assert.deepStrictEqual(pool.pools.get('eng').workers.map(w => w.id), [3]);
+
+      await pool.drain();
+    })
+  },
+  {
+    name: 'OCR pool: drain fails queued jobs, waits for running ones and stops every worker',
+    run: () => withConfig({ ocrPoolSize: 1, ocrPoolHealthCheckInterval: 0 }, async () => {
+      const pool = testPool(async () => {
+        await delay(30);
+        return { data: { text: 'done' } };
+      });
+
+      const running = pool.recognize(Buffer.from('image'));
+      await delay(5);
+      const queued = pool.recognize(Buffer.from('image')).catch(error => error);
+      await pool.drain();
+
+      assert.strictEqual((await running).data.text, 'done');
+      assert.match((await queued).message, /shutting down/);
+      await assert.rejects(pool.acquire('eng'), /shutting down/);
+      assert.deepStrictEqual(pool.terminated, [1]);
+    })
+  },
+  {
+    name: 'OCR pool: a health check interval of 0 turns the health check off',
+    run: async () => {
+      const interval = env => execFileSync(
+        process.execPath,
+        ['-p', "require('./src/config/config').ocrPoolHealthCheckInterval"],
+        { cwd: path.join(__dirname, '..'), env: { ...process.env, ...env }, encoding: 'utf8' }
+      ).trim().split('\n').pop();
+      assert.strictEqual(interval({ OCR_POOL_HEALTH_CHECK_INTERVAL: '0' }), '0');
+      assert.strictEqual(interval({ OCR_POOL_HEALTH_CHECK_INTERVAL: '' }), '30000');
+
+      await withConfig({ ocrPoolHealthCheckInterval: 0 }, async () => {
+        const pool = testPool();
+        pool.getPool('eng');
+        assert.strictEqual(pool.healthCheckTimer, null);
+      });
+      await withConfig({ ocrPoolHealthCheckInterval: 1000 }, async () => {
+        const pool = testPool();
+        pool.getPool('eng');
+        assert.ok(pool.healthCheckTimer);
+        await pool.drain();
+      });
+    }
+  },
+  {
+    name: 'PDF: a page with a text layer is read without OCR, with word boxes',
+    run: async () => {
+      const pdf = textPdf(['Consultation 500.00', 'Total: Rs 500.00']);
+      const [page] = await pdfService.extractPages(pdf);
+      assert.strictEqual(page.source, 'text_layer');
+      assert.strictEqual(page.text, 'Consultation 500.00\nTotal: Rs 500.00');
+      assert.ok(page.words.length === 5 && page.words.every(w => w.bbox.x1 > w.bbox.x0));
+
+      const extraction = await ocrService.extractFromTextOrImage({ fileBuffers: [pdf] });
+      assert.strictEqual(extraction.pages[0].source, 'text_layer');
+      assert.deepStrictEqual(extraction.raw_tokens, ['500.00']);
+    }
+  },
+  {
+    name: 'PDF: a broken PDF or undecodable base64 is a 400',
+    run: async () => {
+      const broken = await pdfService.extractPages(Buffer.from('%PDF-1.4\nnot a pdf')).catch(error => error);
+      assert.match(broken.message, /^Invalid PDF document/);
+      assert.strictEqual(statusFor(broken), 400);
+
+      for (const dataUri of ['data:image/png;base64,@@@@', 'data:image/png;base64,']) {
+        const error = (() => { try { ocrService.decodeBase64(dataUri); } catch (e) { return e; } })();
+        assert.ok(error, `${dataUri} decoded`);
+        assert.strictEqual(statusFor(error), 400);
+      }
+      assert.strictEqual(ocrService.decodeBase64('data:image/png;base64,aGk=').toString(), 'hi');
+    }
+  },
+  {
+    name: "Provenance: an OCR word's box, page and confidence reach the classified amount",
+    run: () => withConfig({ orientationDetection: false }, () => withStubs(ocrWorkerPool, {
+      recognize: async () => recognized(['Patient: John Doe', 'Total: Rs 750.00'], 91)
+    }, async () => {
+      const extraction = await ocrService.extractFromTextOrImage({
+        fileBuffers: [await blankImage()],
+        preprocessing: { profile: 'none' }
+      });
+      const [token] = extraction.tokens;
+      assert.deepStrictEqual([token.token, token.page, token.ocr_confidence], ['750.00', 1, 0.91]);
+      assert.deepStrictEqual(token.bbox, { x0: 120, y0: 20, x1: 170, y1: 35 });
+
+      const normalized = normalizerService.normalizeTokens(extraction.tokens);
+      const [detail] = normalized.details;
+      assert.deepStrictEqual([detail.page, detail.bbox, detail.ocr_confidence], [1, token.bbox, 0.91]);
+
+      const { amounts } = classifierService.classifyAmounts(extraction.extracted_text, normalized.normalized_amounts, {
+        pages: extraction.pages,
+        provenance: normalized.details.filter(d => d.success)
+      });
+      assert.deepStrictEqual(
+        amounts.map(a => [a.type, a.page, a.bbox, a.ocr_confidence, a.char_start, a.char_end]),
+        [['total_bill', 1, token.bbox, 0.91, token.char_start, token.char_end]]
+      );
+    }))
+  },
+  {
+    name: 'Provenance: a text-layer word keeps its box through classification',
+    run: async () => {
+      const extraction = await ocrService.extractFromTextOrImage({ fileBuffers: [textPdf(['Patient: John Doe', 'Total: Rs 750.00'])] });
+      const normalized = normalizerService.normalizeTokens(extraction.tokens);
+      const { amounts } = classifierService.classifyAmounts(extraction.extracted_text, normalized.normalized_amounts, {
+        pages: extraction.pages,
+        provenance: normalized.details.filter(d => d.success)
+      });
+      assert.strictEqual(amounts.length, 1);
+      assert.strictEqual(amounts[0].page, 1);
+      assert.deepStrictEqual(amounts[0].bbox, extraction.tokens[0].bbox);
+      assert.ok(amounts[0].bbox.x1 > amounts[0].bbox.x0 && amounts[0].bbox.y1 > amounts[0].bbox.y0);
+    }
+  },
+  {
+    name: 'Preprocessing: a profile reports its steps, and boxes map back to the image sent',
+    run: async () => {
+      const image = await blankImage(400, 200);
+      const prepared = await preprocessService.preprocess(image, 'standard');
+      assert.deepStrictEqual(prepared.steps.map(step => step.name), ['grayscale', 'normalize', 'upscale', 'deskew', 'crop_border']);
+      assert.deepStrictEqual(prepared.steps.find(step => step.name === 'upscale'), {
+        name: 'upscale', applied: true, factor: 3.75, from: [400, 200], to: [1500, 750]
+      });
+      assert.strictEqual((await sharp(prepared.buffer).metadata()).width, 1500);
+      assert.deepStrictEqual(prepared.mapBbox({ x0: 150, y0: 75, x1: 300, y1: 150 }), { x0: 40, y0: 20, x1: 80, y1: 40 });
+
+      const untouched = await preprocessService.preprocess(image, 'none');
+      assert.deepStrictEqual([untouched.buffer, untouched.steps], [image, []]);
+
+      assert.strictEqual(validators.validatePreprocessingOptions('sharpen', undefined).valid, false);
+      await assert.rejects(preprocessService.preprocess(image, 'sharpen'), /Unknown preprocessing profile/);
+    }
+  },
+  {
+    name: 'Preprocessing: compare reports the confidence with and without it',
+    run: () => withConfig({ orientationDetection: false }, () => withStubs(ocrWorkerPool, {
+      // Reads the upscaled image better than the original
+      recognize: async buffer => recognized(['Total: Rs 750.00'], (await sharp(buffer).metadata()).width > 400 ? 88 : 41)
+    }, async () => {
+      const result = await ocrService.imageBufferToText(await blankImage(400, 200), {
+        preprocessing: { profile: 'standard', compare: true }
+      });
+      assert.strictEqual(result.preprocessing.profile, 'standard');
+      assert.deepStrictEqual(result.preprocessing.comparison, { original_confidence: 0.41, preprocessed_confidence: 0.88 });
+      assert.strictEqual(result.confidence, 0.88);
+      // "750.00" sits at x 120-170 on the 1500px image, 32-45.3 on the 400px one
+      assert.strictEqual(Math.round(result.words[2].bbox.x0), 32);
+    }))
+  },
+  {
+    name: 'Orientation: a page OSD finds turned is rotated upright before recognition',
+    run: () => withConfig({ orientationDetection: true, orientationMinConfidence: 2 }, async () => {
+      const sizes = [];
+      const recognize = async buffer => {
+        const { width, height } = await sharp(buffer).metadata();
+        sizes.push([width, height]);
+        return recognized(['Total: Rs 750.00']);
+      };
+      const osd = (degrees, confidence) => async () => ({
+        data: { orientation_degrees: degrees, orientation_confidence: confidence, script: 'Latin' }
+      });
+      const image = await blankImage(400, 200);
+      const read = () => ocrService.imageBufferToText(image, { preprocessing: { profile: 'none' } });
+
+      await withStubs(ocrWorkerPool, { recognize, detect: osd(90, 5) }, async () => {
+        const { orientation } = await read();
+        assert.deepStrictEqual(orientation, { detected_degrees: 90, rotation_applied: 270, confidence: 5, script: 'Latin', method: 'osd' });
+        assert.deepStrictEqual(sizes.pop(), [200, 400]);
+      });
+
+      // Too unsure to rotate
+      await withStubs(ocrWorkerPool, { recognize, detect: osd(180, 0.5) }, async () => {
+        const { orientation } = await read();
+        assert.deepStrictEqual([orientation.detected_degrees, orientation.rotation_applied], [180, 0]);
+        assert.deepStrictEqual(sizes.pop(), [400, 200]);
+      });
+
+      // An image OSD can't read is recognized as sent; a worker that can't
+      // start turns OSD off for a while
+      const unreadable = async () => { throw new Error('Too few characters'); };
+      const broken = async () => { throw Object.assign(new Error('no osd data'), { workerFailure: true }); };
+      try {
+        await withStubs(ocrWorkerPool, { recognize, detect: unreadable }, async () => {
+          assert.strictEqual((await read()).orientation.method, 'failed');
+        });
+        await withStubs(ocrWorkerPool, { recognize, detect: broken }, async () => {
+          assert.strictEqual((await read()).orientation.method, 'unavailable');
+        });
+        await withStubs(ocrWorkerPool, { recognize, detect: osd(90, 5) }, async () => {
+          assert.strictEqual((await read()).orientation.method, 'unavailable');
+        });
+      } finally {
+        ocrService.osdUnavailableUntil = 0;
+      }
+    })
+  },
+  {
+    name: 'Multi-page documents: files are pages in upload order, checked as one bill',
+    run: () => withRoutes(async api => {
+      const files = [
+        textPdf(['Consultation 1000.00', 'Subtotal: Rs 1000.00']),
+        textPdf(['GST: Rs 180.00', 'Total: Rs 1180.00'])
+      ];
+      const form = new FormData();
+      files.forEach((file, index) => form.append('file', new Blob([file], { type: 'application/pdf' }), `page-${index + 1}.pdf`));
+
+      const uploaded = await fetch(`${api}/final`, { method: 'POST', body: form }).then(res => res.json());
+      assert.deepStrictEqual(
+        uploaded.metadata.pages.map(p => [p.page, p.document, p.amounts.map(a => a.type)]),
+        [[1, 1, ['subtotal']], [2, 2, ['tax', 'total_bill']]]
+      );
+      assert.strictEqual(uploaded.metadata.reconciliation.equations[0].status, 'satisfied');
+
+      // The same pages as an array of image_base64
+      const sent = await postJson(`${api}/final`, {
+        image_base64: files.map(file => `data:application/pdf;base64,${file.toString('base64')}`)
+      });
+      assert.deepStrictEqual(sent.amounts.map(a => [a.type, a.value, a.page]), uploaded.amounts.map(a => [a.type, a.value, a.page]));
+    })
+  },
+  {
+    name: 'Number formats: lakh grouping, decimal commas, spaces and apostrophes',
+    run: () => {
+      const tokens = ocrService.extractTokenMatches('Total: Rs 1,23,456.00\nSumme: EUR 1.234,56\nTotal: 1 234,56 €\nTotal: CHF 1\'234.50')
+        .map(t => t.token);
+      assert.deepStrictEqual(tokens, ['1,23,456.00', '1.234,56', '1 234,56', "1'234.50"]);
+
+      const { normalized_amounts: values, details } = normalizerService.normalizeTokens(tokens);
+      assert.deepStrictEqual(values, [123456, 1234.56, 1234.56, 1234.5]);
+      assert.deepStrictEqual(
+        details.map(d => [d.format.decimal_separator, d.format.group_separator, d.format.grouping]),
+        [['.', ',', 'indian'], [',', '.', 'western'], [',', ' ', 'western'], ['.', "'", 'western']]
+      );
+    }
+  },
+  {
+    name: 'Number formats: an ambiguous separator is reported, and a locale settles it',
+    run: () => {
+      const [auto] = normalizerService.normalizeTokens(['1,234']).details;
+      assert.deepStrictEqual([auto.value, auto.format.ambiguous, auto.format.alternatives], [1234, true, [1.234]]);
+
+      assert.deepStrictEqual(normalizerService.normalizeTokens(['1.234'], { locale: 'de-DE' }).normalized_amounts, [1234]);
+      assert.deepStrictEqual(normalizerService.normalizeTokens(['1.234,50'], { locale: 'de-DE' }).normalized_amounts, [1234.5]);
+
+      // A number that contradicts the requested locale is read as printed, with a warning
+      const [mismatch] = normalizerService.normalizeTokens(['1.234,56'], { locale: 'en-IN' }).details;
+      assert.strictEqual(mismatch.value, 1234.56);
+      assert.deepStrictEqual(mismatch.format.warnings, ['separators do not match locale en-IN']);
+
+      assert.strictEqual(validators.validateLocale('xx-XX').valid, false);
+    }
+  },
+  {
+    name: 'Amount in words: Indian and international numbering, with paise',
+    run: () => {
+      const read = text => {
+        const found = amountInWords.find(text);
+        return found && [found.value, found.currency];
+      };
+      assert.deepStrictEqual(read('Rupees Twelve Thousand Three Hundred Only'), [12300, 'INR']);
+      assert.deepStrictEqual(
+        read('Amount in words: One Lakh Twenty Three Thousand Four Hundred Fifty Six Rupees and Fifty Paise Only'),
+        [123456.5, 'INR']
+      );
+      assert.deepStrictEqual(read('Rs. Two Crore Only'), [20000000, 'INR']);
+      assert.deepStrictEqual(read('USD Five Hundred Dollars Only'), [500, 'USD']);
+      assert.strictEqual(read('Review in two days'), null);
+    }
+  },
+  {
+    name: 'Amount in words: confirms, corrects or stands in for the total',
+    run: () => {
+      const words = { text: 'Rupees Twelve Thousand Three Hundred Only', value: 12300, currency: 'INR', page: 1 };
+      const check = (amounts, pages) => classifierService.checkTotalAgainstWords(amounts, words, { pages });
+      const ocrPage = [{ page: 1, source: 'ocr' }];
+
+      assert.strictEqual(check([amount('total_bill', 12300)], ocrPage).check.status, 'confirmed');
+
+      // OCR misread "12,300" as "12,800": the words win
+      const corrected = check([amount('total_bill', 12800)], ocrPage);
+      assert.deepStrictEqual([corrected.check.status, corrected.amounts[0].value], ['corrected', 12300]);
+
+      // Typed text is only flagged
+      const flagged = check([amount('total_bill', 12800)], [{ page: 1, source: 'text' }]);
+      assert.deepStrictEqual([flagged.check.status, flagged.amounts[0].value], ['mismatch', 12800]);
+
+      const inferred = check([amount('paid', 12300)], ocrPage);
+      assert.strictEqual(inferred.check.status, 'inferred');
+      assert.deepStrictEqual(inferred.amounts.map(a => [a.type, a.value]), [['paid', 12300], ['total_bill', 12300]]);
+    }
+  },
+  {
+    name: 'Occurrences: repeated values are kept, each with its own position and type',
+    run: () => {
+      const text = 'Consultation: Rs 500\nLab Tests: Rs 500\nTotal: Rs 1200\nPaid: Rs 1200';
+      const tokens = ocrService.extractTokenMatches(text);
+      assert.deepStrictEqual(tokens.map(t => [t.token, t.segment_index]), [['500', 0], ['500', 1], ['1200', 2], ['1200', 3]]);
+      assert.ok(tokens.every(t => text.slice(t.char_start, t.char_end) === t.token));
+
+      const normalized = normalizerService.normalizeTokens(tokens.map(t => ({ ...t, page: 1 })));
+      assert.deepStrictEqual(normalized.normalized_amounts, [500, 500, 1200, 1200]);
+
+      const { amounts } = classifierService.classifyAmounts(text, normalized.normalized_amounts, {
+        pages: [{ page: 1, text }],
+        provenance: normalized.details.filter(d => d.success)
+      });
+      assert.deepStrictEqual(
+        amounts.map(a => [a.type, a.value, a.char_start]),
+        tokens.map((t, i) => [['service_charge', 'service_charge', 'total_bill', 'paid'][i], Number(t.token), t.char_start])
+      );
+    }
+  },
+  {
+    name: 'Negative amounts: minus with any currency, parentheses and CR; DR stays positive',
+    run: () => {
+      const text = 'Credit 1,200.00 CR\nRefund: -Rs 200\nLess: (500.00)\nAdjustment: -AED 50\nBalance: 300 DR\nPaid :- 500';
+      const tokens = ocrService.extractTokenMatches(text).map(t => t.token);
+      assert.deepStrictEqual(
+        tokens.map(token => numberFormat.parseSigned(token).value),
+        [-1200, -200, -500, -50, 300, 500]
+      );
+      assert.deepStrictEqual(
+        ['-Rs 200', '₩ -500', '(500.00)', '1,200.00 CR'].map(token => numberFormat.parseSigned(token).sign),
+        ['minus', 'minus', 'parentheses', 'credit']
+      );
+    }
+  },
+  {
+    name: 'Line items: a row with only an amount is one unit at that price',
+    run: () => {
+      const items = lineItemService.extractLineItems([{ page: 1, text: 'Consultation 500.00\nRoom Charges: Rs 1,500.00' }]);
+      assert.deepStrictEqual(
+        items.map(i => [i.description, i.qty, i.unit_price, i.amount]),
+        [['Consultation', 1, 500, 500], ['Room Charges', 1, 1500, 1500]]
+      );
+    }
+  },
+  {
+    name: 'Line items: qty × rate rows are verified',
+    run: () => {
+      const [item] = lineItemService.extractLineItems([{ page: 1, text: 'Paracetamol 500mg  10  2.50  26.00' }]);
+      assert.strictEqual(item.verified, false);
+      assert.strictEqual(item.expected_amount, 25);
+    }
+  },
+  {
+    name: 'Line items: summary rows are not items',
+    run: () => {
+      const items = lineItemService.extractLineItems([{ page: 1, text: 'Subtotal 2,000.00\nCash 2,000.00\nNet Amount 2,000.00' }]);
+      assert.strictEqual(items.length, 0);
+    }
+  },
+  {
+    name: 'Line items: a whole amount counts when a currency comes before it',
+    run: () => {
+      const items = lineItemService.extractLineItems([{ page: 1, text: 'Consultation Fee: Rs 500\nWard 12\nBed No: 7' }]);
+      assert.deepStrictEqual(items.map(i => [i.description, i.amount]), [['Consultation Fee', 500]]);
+    }
+  },
+  {
+    name: "Line items: summary rows are the rule pack's summary keywords",
+    run: () => {
+      const text = 'Service Levy 150.00\nConsultation 500.00';
+      const { pack } = inlinePack(raw => { raw.summary_keywords.push('levy'); });
+      assert.deepStrictEqual(lineItemService.extractLineItems([{ page: 1, text }], { rulePack: pack }).map(i => i.description), ['Consultation']);
+      assert.strictEqual(lineItemService.extractLineItems([{ page: 1, text }]).length, 2);
+
+      // A pack without its own list uses the default pack's
+      const { pack: bare } = inlinePack(raw => { delete raw.summary_keywords; });
+      assert.strictEqual(lineItemService.extractLineItems([{ page: 1, text: 'Subtotal 2,000.00' }], { rulePack: bare }).length, 0);
+    }
+  },
+  {
+    name: 'Line items: the sum is compared with the subtotal',
+    run: () => {
+      const items = lineItemService.extractLineItems([{ page: 1, text: 'Consultation 500.00\nLab Tests 1,500.00' }]);
+      const check = lineItemService.checkAgainstSummary(items, [amount('subtotal', 2000)]);
+      assert.strictEqual(check.status, 'match');
+      assert.strictEqual(check.difference, 0);
+    }
+  },
+  {
+    name: 'Line items: a round-off is added before comparing with the total',
+    run: () => {
+      const items = lineItemService.extractLineItems([{ page: 1, text: 'Consultation 500.00\nLab Tests 679.60' }]);
+      const check = lineItemService.checkAgainstSummary(items, [amount('total_bill', 1180), amount('round_off', 0.4)]);
+      assert.strictEqual(check.compared_to, 'total_bill');
+      assert.strictEqual(check.round_off, 0.4);
+      assert.strictEqual(check.status, 'match');
+    }
+  },
+  {
+    name: 'Round-off: amounts below 1 are kept on round-off lines only',
+    run: () => {
+      const tokens = ocrService.extractTokenMatches('GST: 180.40\nRound Off: -0.40\nDiscount: 0.50');
+      assert.deepStrictEqual(tokens.map(t => t.token), ['180.40', '-0.40']);
+      assert.strictEqual(classifierService.matchSnippetToType('Round Off: -0.40').type, 'round_off');
+    }
+  },
+  {
+    name: 'Classification: a bare "claim" does not outrank "total"',
+    run: () => {
+      assert.strictEqual(classifierService.matchSnippetToType('Total Claim Amount: 50000').type, 'total_bill');
+      assert.strictEqual(classifierService.matchSnippetToType('Claim Approved: 45000').type, 'insurance_covered');
+    }
+  },
+  {
+    name: 'Classification: a refund that is due is a refund',
+    run: () => {
+      assert.strictEqual(classifierService.matchSnippetToType('Refund Due: -1000').type, 'refund');
+      assert.strictEqual(classifierService.matchSnippetToType('Balance Due: 500').type, 'due');
+    }
+  },
+  {
+    name: 'Classification: a bare amount is reported as having no label, not as missing',
+    run: () => {
+      const { unclassified } = classifierService.classifyAmounts('Patient Name Ravi\n12,300.00', [12300, 77], {
+        provenance: [{ page: 1, segment_index: 1 }, null]
+      });
+      assert.deepStrictEqual(
+        unclassified.map(u => [u.value, u.reason]),
+        [[12300, 'no_label'], [77, 'not_found_in_text']]
+      );
+    }
+  },
+  {
+    name: 'Classification: each amount on a merged line keeps its own label',
+    run: () => {
+      const spans = (text, values) => classifierService.classifyAmounts(text, values).amounts
+        .map(a => [a.type, a.value, a.context_span]);
+
+      assert.deepStrictEqual(spans('Total 1200 Paid 1000 Due 200', [1200, 1000, 200]), [
+        ['total_bill', 1200, { text: 'Total 1200', start: 0, end: 10 }],
+        ['paid', 1000, { text: 'Paid 1000', start: 11, end: 20 }],
+        ['due', 200, { text: 'Due 200', start: 21, end: 28 }]
+      ]);
+      // An unlabelled amount reaches back to the label before it, and the
+      // "Rs" in front of 30 stays with 30
+      assert.deepStrictEqual(spans('Discount: Rs 50 Rs 30 Total: Rs 920', [50, 30, 920]), [
+        ['discount', 50, { text: 'Discount: Rs 50', start: 0, end: 15 }],
+        ['discount', 30, { text: 'Discount: Rs 50 Rs 30', start: 0, end: 21 }],
+        ['total_bill', 920, { text: 'Total: Rs 920', start: 22, end: 35 }]
+      ]);
+    }
+  },
+  {
+    name: 'Classification: labels garbled by OCR still match, within the distance budget',
+    run: async () => {
+      const classify = text => classifierService.classifyAmounts(text, [Number(text.split(': ')[1])]);
+
+      const total = classify('Tota1: 1200');
+      assert.deepStrictEqual(total.amounts.map(a => a.type), ['total_bill']);
+      assert.deepStrictEqual(
+        total.classification_details[0].keyword_matches,
+        [{ keyword: 'total', text: 'tota1', distance: 0.5 }]
+      );
+      assert.deepStrictEqual(classify('Balanoe Due: 500').amounts.map(a => a.type), ['due']);
+      assert.deepStrictEqual(classify('Dlscount: 50').amounts.map(a => a.type), ['discount']);
+
+      // Confusable characters cost half an edit; short keywords allow no real typo
+      assert.deepStrictEqual(fuzzyMatch.findKeyword('Dlscount', 'discount'), { keyword: 'discount', text: 'dlscount', distance: 0.5 });
+      assert.deepStrictEqual(fuzzyMatch.findKeyword('Total', 'total'), { keyword: 'total', text: 'total', distance: 0 });
+      assert.strictEqual(fuzzyMatch.distance('tota1', 'total'), 0.5);
+      assert.strictEqual(fuzzyMatch.distance('totax', 'total'), 1);
+      assert.strictEqual(fuzzyMatch.findKeyword('Paio', 'paid'), null);
+
+      await withConfig({ fuzzyMaxDistance: 0 }, () => {
+        assert.strictEqual(fuzzyMatch.findKeyword('Tota1', 'total'), null);
+        const off = classify('Tota1: 1200');
+        assert.deepStrictEqual(off.amounts, []);
+        assert.deepStrictEqual(off.unclassified.map(u => [u.value, u.reason]), [[1200, 'no_snippet_match']]);
+      });
+    }
+  },
+  {
+    name: 'Association: values printed apart from their labels are linked, at a cost by how',
+    run: () => {
+      // Classify page 1's `text`, each value on the line `provenance` gives, then link
+      const associate = (text, values, provenance, lines = []) => {
+        const pages = [{ page: 1, text, lines }];
+        const { amounts, unclassified } = classifierService.classifyAmounts(text, values, { pages, provenance });
+        return labelAssociationService.associate(amounts, unclassified, { pages });
+      };
+      const labelConfidence = classifierService.matchSnippetToType('Net Payable').confidence;
+
+      // Label on one line, value on the next
+      const nextLine = associate('Net Payable\n12,300.00', [12300], [{ page: 1, segment_index: 1 }]);
+      assert.deepStrictEqual(
+        nextLine.associations.map(a => [a.type, a.value, a.label, a.method]),
+        [['total_bill', 12300, 'Net Payable', 'adjacent']]
+      );
+      assert.strictEqual(nextLine.associations[0].confidence, Math.round((labelConfidence - 0.1) * 100) / 100);
+      assert.deepStrictEqual(nextLine.unclassified, []);
+
+      // A block of labels, then a block of values, paired in order
+      const block = associate(
+        'Subtotal\nDiscount\nNet Payable\n1,000.00\n100.00\n900.00',
+        [1000, 100, 900],
+        [3, 4, 5].map(segment_index => ({ page: 1, segment_index }))
+      );
+      assert.deepStrictEqual(
+        block.associations.map(a => [a.type, a.value, a.method]),
+        [['subtotal', 1000, 'block'], ['discount', 100, 'block'], ['total_bill', 900, 'block']]
+      );
+      assert.strictEqual(block.associations[2].confidence, Math.round((labelConfidence - 0.2) * 100) / 100);
+
+      // Boxes on the same row win over line order
+      const sameRow = associate(
+        'Net Payable\n12,300.00',
+        [12300],
+        [{ page: 1, segment_index: 1, bbox: { x0: 300, y0: 0, x1: 380, y1: 15 } }],
+        [
+          { text: 'Net Payable', bbox: { x0: 0, y0: 0, x1: 110, y1: 15 } },
+          { text: '12,300.00', bbox: { x0: 300, y0: 0, x1: 380, y1: 15 } }
+        ]
+      );
+      assert.deepStrictEqual(sameRow.associations.map(a => [a.type, a.method]), [['total_bill', 'same_row']]);
+      assert.strictEqual(sameRow.associations[0].confidence, Math.round((labelConfidence - 0.05) * 100) / 100);
+      assert.deepStrictEqual(
+        sameRow.amounts.map(a => [a.type, a.value, a.source]),
+        [['total_bill', 12300, "text: 'Net Payable' → '12,300.00'"]]
+      );
+    }
+  },
+  {
+    name: 'Reconciliation: a missing total is inferred, naming the terms taken as 0',
+    run: () => {
+      const { amounts, reconciliation } = reconciliationService.reconcile([amount('subtotal', 1000), amount('tax', 180)]);
+      assert.deepStrictEqual(reconciliation.inferred, [{
+        type: 'total_bill',
+        value: 1180,
+        equation: 'subtotal + tax - discount + round_off = total_bill',
+        assumes_zero: ['discount', 'round_off']
+      }]);
+      assert.ok(amounts.some(a => a.type === 'total_bill' && a.source === 'inferred'));
+    }
+  },
+  {
+    name: 'Reconciliation: a round-off keeps its sign in the total',
+    run: () => {
+      const { reconciliation } = reconciliationService.reconcile([
+        amount('subtotal', 1000), amount('tax', 180.4), amount('round_off', -0.4), amount('total_bill', 1180)
+      ]);
+      assert.strictEqual(reconciliation.equations[0].status, 'satisfied');
+      assert.strictEqual(reconciliation.equations[0].expected, 1180);
+    }
+  },
+  {
+    name: 'Reconciliation: the total that fits the arithmetic wins',
+    run: () => {
+      const { reconciliation } = reconciliationService.reconcile([
+        amount('subtotal', 1000), amount('tax', 180), amount('total_bill', 1180), amount('total_bill', 999)
+      ]);
+      assert.deepStrictEqual(reconciliation.rejected.map(r => r.value), [999]);
+      assert.strictEqual(reconciliation.equations[0].status, 'satisfied');
+    }
+  },
+  {
+    name: 'Reconciliation: nothing is inferred from a contested total',
+    run: () => {
+      const { reconciliation } = reconciliationService.reconcile([
+        amount('total_bill', 1250), amount('round_off', -0.4), amount('total_bill', 1200)
+      ]);
+      assert.deepStrictEqual(reconciliation.contested, ['total_bill']);
+      assert.deepStrictEqual(reconciliation.inferred, []);
+      assert.deepStrictEqual(reconciliation.equations[0].contested, ['total_bill']);
+    }
+  },
+  {
+    name: 'Reconciliation: paid + due checks the total',
+    run: () => {
+      const { reconciliation } = reconciliationService.reconcile([
+        amount('total_bill', 1100), amount('paid', 600), amount('due', 400)
+      ]);
+      const check = reconciliation.equations.find(e => e.equation === 'paid + due = total_bill');
+      assert.strictEqual(check.status, 'violated');
+      assert.strictEqual(check.difference, 100);
+    }
+  },
+  {
+    name: 'Reconciliation: a gap an absent term could fill is not a violation',
+    run: () => {
+      const [raised] = reconciliationService.reconcile([amount('subtotal', 1000), amount('total_bill', 1180)]).reconciliation.equations;
+      assert.strictEqual(raised.status, 'not_checked');
+      assert.strictEqual(raised.difference, 180);
+      assert.deepStrictEqual(raised.missing, ['tax']);
+
+      const [lowered] = reconciliationService.reconcile([amount('subtotal', 1000), amount('total_bill', 900)]).reconciliation.equations;
+      assert.deepStrictEqual([lowered.status, lowered.missing], ['not_checked', ['discount']]);
+
+      // With tax and discount on the bill, nothing absent explains the gap
+      const [wrong] = reconciliationService.reconcile([
+        amount('subtotal', 1000), amount('tax', 180), amount('discount', 80), amount('total_bill', 1300)
+      ]).reconciliation.equations;
+      assert.strictEqual(wrong.status, 'violated');
+      assert.strictEqual(wrong.difference, 200);
+    }
+  },
+  {
+    name: 'Reconciliation: nothing is checked or inferred across currencies',
+    run: () => {
+      const { amounts, reconciliation } = reconciliationService.reconcile([
+        amount('tax', 10, { currency: 'EUR' }), amount('total_bill', 130, { currency: 'USD' })
+      ]);
+      assert.deepStrictEqual(reconciliation.inferred, []);
+      assert.ok(!amounts.some(a => a.type === 'subtotal'));
+      assert.strictEqual(reconciliation.equations[0].status, 'not_checked');
+      assert.strictEqual(reconciliation.equations[0].reason, 'mixed_currency');
+      assert.deepStrictEqual(reconciliation.equations[0].currencies, ['EUR', 'USD']);
+    }
+  },
+  {
+    name: "Currency: the document's currency is the one its amounts are marked in",
+    run: () => withRoutes(async api => {
+      // Codes and words count only next to a number
+      assert.deepStrictEqual(currencies.detect('Won the award; rand and pound\nTotal: Rs 500').counts, { INR: 1 });
+
+      const result = await postJson(`${api}/final`, { text: 'Diagnosis: CAD 500\nTotal: Rs 1200' });
+      assert.strictEqual(result.currency, 'INR');
+      assert.strictEqual(result.metadata.currency.source, 'amounts');
+      assert.deepStrictEqual(result.amounts.map(a => [a.type, a.value, a.currency]), [['total_bill', 1200, 'INR']]);
+    })
+  },
+  {
+    name: 'Tax breakdown: a base in another currency is not checked',
+    run: () => {
+      const breakdown = taxBreakdownService.build([
+        amount('subtotal', 120, { currency: 'USD' }),
+        amount('tax', 10, { currency: 'EUR', context_span: { text: 'VAT 8%' } })
+      ]);
+      assert.strictEqual(breakdown.components[0].status, 'not_checked');
+      assert.strictEqual(breakdown.components[0].reason, 'mixed_currency');
+    }
+  },
+  {
+    name: 'Tax breakdown: the base is the subtotal less its discount',
+    run: () => {
+      const breakdown = taxBreakdownService.build([
+        amount('subtotal', 1000), amount('discount', 100),
+        amount('tax', 162, { context_span: { text: 'GST 18%: 162' } }), amount('total_bill', 1062)
+      ]);
+      assert.deepStrictEqual(breakdown.taxable_base, { value: 900, source: 'subtotal_less_deductions', currency: null });
+      assert.strictEqual(breakdown.components[0].status, 'satisfied');
+    }
+  },
+  {
+    name: 'Tax breakdown: a subtotal already net of the discount is used as printed',
+    run: () => {
+      const breakdown = taxBreakdownService.build([
+        amount('discount', 100), amount('subtotal', 900),
+        amount('tax', 162, { context_span: { text: 'GST 18%: 162' } }), amount('total_bill', 1062)
+      ]);
+      assert.deepStrictEqual(breakdown.taxable_base, { value: 900, source: 'subtotal', currency: null });
+      assert.strictEqual(breakdown.components[0].status, 'satisfied');
+    }
+  },
+  {
+    name: 'Percentages: a tax rate uses the tax breakdown\'s base, net of an inferred discount',
+    run: () => {
+      const rate = (token, label, segmentIndex) => ({ kind: 'percent', token, value: parseFloat(token), label, page: 1, segment_index: segmentIndex });
+      const { amounts, percentages } = percentageService.link(
+        [rate('10%', 'Discount', 1), rate('18%', 'GST', 2)],
+        [amount('subtotal', 1000, { segment_index: 0 }), amount('tax', 162, { segment_index: 2 })]
+      );
+      assert.deepStrictEqual(
+        percentages.map(p => [p.type, p.base, p.base_type, p.status]),
+        [['discount', 1000, 'subtotal', 'inferred'], ['tax', 900, 'subtotal_less_deductions', 'satisfied']]
+      );
+      assert.ok(amounts.some(a => a.type === 'discount' && a.value === 100 && a.source === 'inferred'));
+    }
+  },
+  {
+    name: 'Extraction: a GSTIN is not a tax amount',
+    run: () => {
+      const tokens = ocrService.extractTokenMatches('GSTIN: 27AABCU9603R1ZM\nGST 18%: 162.00');
+      assert.deepStrictEqual(tokens.map(t => t.token), ['162.00']);
+      assert.deepStrictEqual(classifierService.extractAmountsFromSnippet('GSTIN: 27AABCU9603R1ZM'), []);
+    }
+  },
+  {
+    name: 'Rule packs: GSTIN and PAN lines are excluded from amount extraction',
+    run: () => {
+      assert.strictEqual(ocrService.isMonetaryLine('GSTIN No: 27AABCU9603R1ZM'), false);
+      assert.strictEqual(ocrService.isMonetaryLine('PAN: AABCU9603R'), false);
+      assert.strictEqual(ocrService.isMonetaryLine('GST 18%: 162.00'), true);
+    }
+  },
+  {
+    name: 'Extraction: invoice numbers and dated lines are not amounts',
+    run: () => {
+      const text = 'Invoice No: INV-2024-118\nBill Date: 12/03/2024\nDate: 15-Jan-2024\nTotal: 500';
+      assert.deepStrictEqual(ocrService.extractTokenMatches(text).map(t => t.token), ['500']);
+    }
+  },
+  {
+    name: 'Label association: an identifier line is not a tax label',
+    run: () => withRoutes(async api => {
+      const result = await postJson(`${api}/final`, { text: 'GSTIN: 27AABCU9603R1ZM\nNPI: 1234567893\nTotal: 500' });
+      assert.deepStrictEqual(result.amounts.map(a => [a.type, a.value]), [['total_bill', 500]]);
+
+      // The label alone, with an unlabelled value after it
+      const labels = labelAssociationService.findLabels(['GSTIN', '27AABCU9603R1ZM', 'Net Payable'], [], {}, rulePackService.get());
+      assert.deepStrictEqual(labels.map(l => l.text), ['Net Payable']);
+    })
+  },
+  {
+    name: 'Document fields: a title is not the provider',
+    run: () => {
+      const page = text => [{ page: 1, text }];
+      assert.strictEqual(documentFieldsService.extract(page('MEDICAL BILL\nPatient: John Doe')).provider_name, null);
+      assert.strictEqual(documentFieldsService.extract(page('MEDICAL BILL\nCity Hospital')).provider_name.value, 'City Hospital');
+      assert.strictEqual(documentFieldsService.extract(page('Sri Sai Medical Hall')).provider_name.value, 'Sri Sai Medical Hall');
+    }
+  },
+  {
+    name: 'Document type: one signal or a close second leaves the type unknown',
+    run: () => {
+      const pack = rulePackService.get();
+      const general = 'MEDICAL BILL\nConsultation Fee: Rs 500\nLab Tests: Rs 1500\nMedicines: Rs 800\nTotal Bill: Rs 2800';
+      assert.strictEqual(documentTypeService.detect(general, pack).type, 'unknown');
+      assert.strictEqual(documentTypeService.detect('City Pharmacy\nLaboratory', pack).type, 'unknown');
+
+      const receipt = documentTypeService.detect('City Pharmacy\nParacetamol Tab Batch No B12 Exp 12/25 MRP 25.00', pack);
+      assert.strictEqual(receipt.type, 'pharmacy');
+      assert.strictEqual(receipt.confidence, 1);
+    }
+  },
+  {
+    name: "Document type: the type's rules tailor the classification",
+    run: () => {
+      const pack = rulePackService.forDocumentType(rulePackService.get(), 'pharmacy');
+      assert.strictEqual(classifierService.matchSnippetToType('You Saved: 20.00', pack).type, 'discount');
+      assert.strictEqual(classifierService.matchSnippetToType('You Saved: 20.00', rulePackService.get()), null);
+    }
+  },
+  {
+    name: 'Rule packs: a pattern that repeats a repeated group is rejected',
+    run: () => {
+      const { pack, errors } = inlinePack(raw => {
+        raw.classification_rules[0].patterns = ['^(a+)+$'];
+      });
+      assert.strictEqual(pack, null);
+      assert.match(errors.join('\n'), /repeats a group that already repeats/);
+    }
+  },
+  {
+    name: 'Rule dry-run: the diff lists only the snippets the packs read differently',
+    run: () => {
+      const { pack: base } = inlinePack(() => {});
+      const { pack: changed, errors } = inlinePack(raw => {
+        raw.classification_rules.find(r => r.type === 'total_bill').keywords.push('net bill amount');
+      });
+      assert.deepStrictEqual(errors, []);
+
+      const text = 'Net Bill Amount: 2,000.00\nPaid: 1500';
+      const diff = ruleDryRunService.diff(ruleDryRunService.run(text, base), ruleDryRunService.run(text, changed));
+      assert.deepStrictEqual(diff.map(d => d.index), [0]);
+      assert.ok(diff[0].changes.some(c => c.field === 'amount' && c.value === 2000 && c.to.type === 'total_bill'));
+    }
+  },
+  {
+    name: 'Rule packs: reloading needs the admin token, and the listing hides tenant mappings',
+    run: () => withRoutes(async api => {
+      const reload = headers => fetch(`${api}/rule-packs/reload`, { method: 'POST', headers }).then(res => res.status);
+
+      await withConfig({ adminToken: null }, async () => {
+        assert.strictEqual(await reload({ Authorization: 'Bearer anything' }), 403);
+      });
+      await withConfig({ adminToken: 'secret', tenantRulePacks: { acme: 'default' } }, async () => {
+        assert.strictEqual(await reload({}), 401);
+        assert.strictEqual(await reload({ Authorization: 'Bearer wrong' }), 401);
+        assert.strictEqual(await reload({ Authorization: 'Bearer secret' }), 200);
+
+        const listing = await fetch(`${api}/rule-packs`).then(res => res.json());
+        assert.deepStrictEqual(Object.keys(listing).sort(), ['default', 'packs']);
+      });
+    })
+  }
+];
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m'
+};
+
+async function runAllChecks() {
+  console.log(`${colors.cyan}${colors.bold}Behavior checks${colors.reset}\n`);
+
+  const failures = [];
+  for (const check of checks) {
+    try {
+      await check.run();
+      console.log(`${colors.green}✓${colors.reset} ${check.name}`);
+    } catch (error) {
+      failures.push(check.name);
+      console.log(`${colors.red}✗ ${check.name}${colors.reset}`);
+      console.log(`  ${error.message.split('\n').join('\n  ')}`);
+    }
+  }
+
+  console.log(`\nTotal Checks: ${checks.length}`);
+  console.log(`${colors.green}Passed: ${checks.length - failures.length}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failures.length}${colors.reset}`);
+
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+runAllChecks();